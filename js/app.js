@@ -4,10 +4,24 @@
  */
 
 const App = {
-    // Current builder state
-    builderItems: [],
     currentWeeklyDay: null,
     currentMoveItemId: null,
+    currentRestoreItemId: null,
+    currentDetailItemId: null,
+    pendingImport: null,
+    pendingEncryptedFile: null,
+    backupHistory: [],
+    pendingRepair: null,
+    pendingUploads: [],
+    pendingShopPhoto: null,
+    generatedOutfits: [],
+    locationResults: [],
+    currentTripId: null,
+    editingTripId: null,
+    currentTripDay: null,
+    tripDestination: null,
+    tripDestinationResults: [],
+    tripWeather: null,
     currentEditingDay: null,
 
     // Initialize the application
@@ -15,7 +29,8 @@ const App = {
         console.log('Initializing Wardrobe Studio...');
 
         try {
-            // Initialize storage first
+            // Open the active profile's storage first
+            Profiles.init();
             await Storage.init();
 
             // Check if first run - load Emily's wardrobe data automatically
@@ -29,6 +44,7 @@ const App = {
 
             // Update greeting
             UI.updateGreeting();
+            UI.renderProfileSwitcher();
 
             // Initialize drag and drop
             DragDrop.init();
@@ -36,9 +52,36 @@ const App = {
             // Setup file uploads
             this.setupUploads();
 
-            // Render all UI
+            // Restore wardrobe filters from the URL
+            Filters.init();
+
+            // Views redraw themselves whenever the store changes
+            UI.bindStore();
+
+            // Record actions for undo/redo, then share changes with other open windows
+            Journal.init();
+            Sync.init();
+            window.addEventListener('unhandledrejection', (e) => this.handleRejection(e));
+
+            // Load all data and render the UI
             await this.refreshAll();
 
+            // Drop trash entries older than the retention period
+            await this.purgeExpiredTrash();
+
+            // Start scheduled backups (the first one may run right away)
+            AutoBackup.init();
+
+            // Warn early if the browser's storage is nearly full
+            this.checkStorageSpace();
+
+            // One-time image jobs for photos stored by older versions (don't wait for them):
+            // create missing thumbnails, then strip location and camera metadata
+            Images.backfillThumbnails()
+                .then(created => created > 0 && this.refreshAll())
+                .then(() => Images.scrubStoredImages())
+                .catch(err => console.warn('Image maintenance failed:', err));
+
             // Load weather (don't wait for it)
             UI.renderWeather().catch(err => console.warn('Weather load failed:', err));
 
@@ -55,13 +98,18 @@ const App = {
         }
     },
 
-    // Refresh all UI components
+    // Reload every slice from IndexedDB; each view redraws from the store
     async refreshAll() {
-        await UI.renderWardrobe();
-        await UI.renderWeeklyOutfits();
-        await UI.renderBuilderPalette();
-        await UI.renderSavedOutfits();
-        await UI.renderShoppingList();
+        await Store.load();
+    },
+
+    // A save lost to a newer change from another window: Store has already
+    // loaded the newer version, so just tell the user why nothing happened
+    handleRejection(e) {
+        if (e.reason?.name !== 'StaleWriteError') return;
+
+        e.preventDefault();
+        UI.showToast(e.reason.message, 4000);
     },
 
     // ============ THEME ============
@@ -119,57 +167,77 @@ const App = {
     // ============ WARDROBE ITEMS ============
 
     async toggleLaundry(itemId) {
-        const item = await Storage.getItem(itemId);
+        const item = Store.getItem(itemId);
         if (!item) return;
 
         item.laundry = !item.laundry;
-        await Storage.saveItem(item);
+        await Store.saveItem(item);
 
         UI.showToast(item.laundry ? 'Added to laundry' : 'Removed from laundry');
-        await UI.renderWardrobe();
-        await UI.renderBuilderPalette();
     },
 
     async toggleFavorite(itemId) {
-        const item = await Storage.getItem(itemId);
+        const item = Store.getItem(itemId);
         if (!item) return;
 
         item.favorite = !item.favorite;
-        await Storage.saveItem(item);
+        await Store.saveItem(item);
 
         UI.showToast(item.favorite ? 'Added to favorites ⭐' : 'Removed from favorites');
-        await UI.renderWardrobe();
     },
 
     async deleteItem(itemId) {
-        const item = await Storage.getItem(itemId);
-        if (!item) return;
-
         // Move to trash instead of permanent delete
-        item.deleted = true;
-        item.deletedDate = new Date().toISOString();
-        item.originalCategory = item.category;
-
-        await Storage.saveToTrash(item);
-        await Storage.deleteItem(itemId);
-
+        await Store.trashItems([itemId]);
         UI.showToast('Moved to trash');
-        await UI.renderWardrobe();
     },
 
     async restoreItem(itemId) {
-        const item = await Storage.restoreFromTrash(itemId);
-        if (!item) return;
+        const entry = Store.state.trash.get(itemId);
+        if (!entry) return;
 
-        item.deleted = false;
-        item.category = item.originalCategory || 'other';
-        delete item.deletedDate;
-        delete item.originalCategory;
+        // The section the item came from was deleted: ask where it should go instead
+        if (Store.trashKind(entry) === 'item' && !this.categoryExists(entry.originalCategory || 'other')) {
+            this.openRestoreModal(itemId);
+            return;
+        }
 
-        await Storage.saveItem(item);
+        await Store.restoreFromTrash(itemId);
+        UI.showToast(Store.trashKind(entry) === 'item' ? 'Item restored!' : 'Restored!');
+    },
+
+    async restoreItemTo(itemId, category) {
+        const item = await Store.restoreFromTrash(itemId, category);
+        if (!item) return;
 
         UI.showToast('Item restored!');
-        await UI.renderWardrobe();
+    },
+
+    categoryExists(category) {
+        if (['tops', 'bottoms', 'outerwear', 'other'].includes(category)) return true;
+        return category.startsWith('custom-') && Store.state.customSections.has(category.slice('custom-'.length));
+    },
+
+    async purgeTrashItem(itemId) {
+        if (!confirm('Permanently delete this from the trash? This cannot be undone.')) {
+            return;
+        }
+
+        const purged = await Store.purgeTrash([itemId]);
+        purged.forEach(entry => entry.imageId && Images.forget(entry.imageId));
+
+        // Undo could otherwise bring back an entry whose photo is gone
+        Journal.clear();
+        UI.showToast('Deleted permanently');
+    },
+
+    // Apply the trash retention setting
+    async purgeExpiredTrash() {
+        const purged = await Store.purgeExpiredTrash(Storage.getSetting('trashRetentionDays', 30));
+        if (purged.length === 0) return;
+
+        purged.forEach(entry => entry.imageId && Images.forget(entry.imageId));
+        Journal.clear();
     },
 
     async emptyTrash() {
@@ -177,38 +245,237 @@ const App = {
             return;
         }
 
-        await Storage.emptyTrash();
+        await Store.emptyTrash();
+        Images.clearCache();
+        Journal.clear();
         UI.showToast('Trash emptied');
-        await UI.renderWardrobe();
+    },
+
+    // ============ WEAR LOG ============
+
+    // Local calendar date as YYYY-MM-DD
+    dateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    // Record that the given items were worn today
+    async logWear(itemIds, source, sourceId = null) {
+        const today = this.dateKey();
+
+        // Skip items that were deleted or already logged today
+        const todaysEntries = (await Storage.getAllWearLog()).filter(e => e.date === today);
+        const loggedToday = new Set(todaysEntries.flatMap(e => e.itemIds));
+        const toLog = itemIds.filter(id => Store.state.items.has(id) && !loggedToday.has(id));
+
+        if (toLog.length === 0) {
+            UI.showToast(itemIds.length === 0 ? 'No items to log' : 'Already logged for today');
+            return;
+        }
+
+        await Store.saveWearEntry({
+            itemIds: toLog,
+            date: today,
+            wornAt: new Date().toISOString(),
+            source,
+            sourceId,
+            weather: await Weather.getConditionsSnapshot()
+        });
+
+        UI.showToast(toLog.length === 1 ? 'Logged as worn today 👕' : `Logged ${toLog.length} items as worn today 👕`);
+    },
+
+    async wearItem(itemId) {
+        await this.logWear([itemId], 'item');
+    },
+
+    async wearWeeklyDay(day) {
+        const dayPlan = Store.getWeeklyDay(day);
+        if (!dayPlan) return;
+
+        await this.logWear(dayPlan.items, 'weekly', day);
+    },
+
+    async wearSavedOutfit(outfitId) {
+        const outfit = Store.getSavedOutfit(outfitId);
+        if (!outfit) return;
+
+        await this.logWear(outfit.items || [], 'outfit', outfitId);
+    },
+
+    // Remove one item from a wear entry, dropping the entry once it is empty
+    async removeWearEntry(entryId, itemId) {
+        const entries = await Storage.getWearLogForItem(itemId);
+        const entry = entries.find(e => e.id === entryId);
+
+        if (!entry) return;
+
+        entry.itemIds = entry.itemIds.filter(id => id !== itemId);
+        if (entry.itemIds.length === 0) {
+            await Store.deleteWearEntry(entryId);
+        } else {
+            await Store.saveWearEntry(entry);
+        }
     },
 
     // ============ MOVE ITEM MODAL ============
 
     openMoveModal(itemId) {
         this.currentMoveItemId = itemId;
+        UI.setMoveModalMode('move');
+        UI.openModal('move-modal');
+    },
+
+    // The move modal doubles as the target picker for restoring into a deleted section
+    openRestoreModal(itemId) {
+        this.currentRestoreItemId = itemId;
+        UI.setMoveModalMode('restore');
         UI.openModal('move-modal');
     },
 
     closeMoveModal() {
         this.currentMoveItemId = null;
+        this.currentRestoreItemId = null;
         UI.closeModal('move-modal');
     },
 
+    async confirmMoveModal() {
+        if (this.currentRestoreItemId) {
+            const itemId = this.currentRestoreItemId;
+            const category = document.getElementById('move-category').value;
+            this.closeMoveModal();
+            await this.restoreItemTo(itemId, category);
+        } else {
+            await this.moveItemToCategory();
+        }
+    },
+
     async moveItemToCategory() {
         if (!this.currentMoveItemId) return;
 
         const select = document.getElementById('move-category');
         const targetCategory = select.value;
 
-        const item = await Storage.getItem(this.currentMoveItemId);
+        const item = Store.getItem(this.currentMoveItemId);
         if (!item) return;
 
         item.category = targetCategory;
-        await Storage.saveItem(item);
+        await Store.saveItem(item);
 
         this.closeMoveModal();
         UI.showToast('Item moved!');
-        await UI.renderWardrobe();
+    },
+
+    // ============ ITEM DETAILS ============
+
+    async openItemDetail(itemId) {
+        const item = Store.getItem(itemId);
+        if (!item) return;
+
+        Storage.normalizeItem(item);
+        this.currentDetailItemId = itemId;
+
+        const preview = document.getElementById('detail-preview');
+        const imgSrc = await Images.fullUrl(item.imageId);
+        if (preview) {
+            preview.src = imgSrc || '';
+            preview.style.display = imgSrc ? 'block' : 'none';
+        }
+
+        document.getElementById('detail-name').value = item.name;
+        document.getElementById('detail-brand').value = item.brand;
+        document.getElementById('detail-colors').value = item.colors.join(', ');
+        document.getElementById('detail-size').value = item.size;
+        document.getElementById('detail-material').value = item.material;
+        document.getElementById('detail-season').value = item.season;
+        document.getElementById('detail-warmth').value = item.warmth;
+        document.getElementById('detail-water-resistant').value = item.waterResistant ? 'yes' : 'no';
+        document.getElementById('detail-price').value = item.purchasePrice ?? '';
+        document.getElementById('detail-purchase-date').value = item.purchaseDate;
+        document.getElementById('detail-tags').value = item.tags.join(', ');
+        document.getElementById('detail-notes').value = item.notes;
+
+        await UI.renderWearHistory(itemId);
+        UI.renderCopyProfileOptions();
+        UI.openModal('item-detail-modal');
+    },
+
+    closeItemDetail() {
+        this.currentDetailItemId = null;
+        UI.closeModal('item-detail-modal');
+    },
+
+    async saveItemDetail() {
+        if (!this.currentDetailItemId) return;
+
+        const item = Store.getItem(this.currentDetailItemId);
+        if (!item) return;
+
+        const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+        const price = parseFloat(document.getElementById('detail-price').value);
+
+        item.name = document.getElementById('detail-name').value.trim();
+        item.brand = document.getElementById('detail-brand').value.trim();
+        item.colors = splitList(document.getElementById('detail-colors').value);
+        item.size = document.getElementById('detail-size').value.trim();
+        item.material = document.getElementById('detail-material').value.trim();
+        item.season = document.getElementById('detail-season').value;
+        item.warmth = document.getElementById('detail-warmth').value;
+        item.waterResistant = document.getElementById('detail-water-resistant').value === 'yes';
+        item.purchasePrice = Number.isFinite(price) ? price : null;
+        item.purchaseDate = document.getElementById('detail-purchase-date').value;
+        item.tags = splitList(document.getElementById('detail-tags').value);
+        item.notes = document.getElementById('detail-notes').value.trim();
+
+        await Store.saveItem(item);
+
+        this.closeItemDetail();
+        UI.showToast('Item details saved!');
+    },
+
+    // Swap an item's photo for a new upload, e.g. the placeholder a Data Check
+    // gives items whose photo was lost
+    async replaceItemPhoto(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+
+        const item = this.currentDetailItemId && Store.getItem(this.currentDetailItemId);
+        if (!file || !item) return;
+
+        const previousImageId = item.imageId;
+        item.imageId = Ids.generate();
+        try {
+            const { blob, thumb } = await Images.processUpload(file);
+            await Store.saveImage(item.imageId, blob, thumb);
+        } catch (err) {
+            this.showUploadError(err);
+            return;
+        }
+
+        await Store.saveItem(item);
+        await Store.deleteImage(previousImageId);
+
+        const preview = document.getElementById('detail-preview');
+        if (preview) {
+            preview.src = await Images.fullUrl(item.imageId) || '';
+            preview.style.display = preview.src ? 'block' : 'none';
+        }
+        UI.showToast('Photo replaced');
+    },
+
+    async copyItemToProfile() {
+        if (!this.currentDetailItemId) return;
+
+        const targetId = document.getElementById('detail-copy-profile').value;
+
+        try {
+            const copied = await Profiles.copyItems([this.currentDetailItemId], targetId);
+            if (copied > 0) UI.showToast(`Copied to ${Profiles.nameOf(targetId)}'s wardrobe`);
+        } catch (err) {
+            console.error('Copy to profile error:', err);
+            UI.showToast('Could not copy item');
+        }
     },
 
     // ============ WEEKLY PLANNER ============
@@ -221,15 +488,15 @@ const App = {
 
     closeWeeklyModal() {
         this.currentWeeklyDay = null;
+        this.currentTripDay = null;
         UI.closeModal('weekly-add-modal');
     },
 
     async addToWeeklyFromModal(itemId) {
         if (!this.currentWeeklyDay) return;
 
-        const weeklyPlan = await Storage.getWeeklyPlan();
-        const dayPlan = weeklyPlan.find(d => d.day === this.currentWeeklyDay);
-
+        const day = this.currentWeeklyDay;
+        const dayPlan = Store.getWeeklyDay(day);
         if (!dayPlan) return;
 
         if (dayPlan.items.includes(itemId)) {
@@ -238,85 +505,76 @@ const App = {
         }
 
         dayPlan.items.push(itemId);
-        await Storage.saveWeeklyDay(dayPlan);
+        await Store.saveWeeklyDay(dayPlan);
 
         this.closeWeeklyModal();
-        UI.showToast(`Added to ${this.currentWeeklyDay}'s outfit`);
-        await UI.renderWeeklyOutfits();
+        UI.showToast(`Added to ${day}'s outfit`);
     },
 
     async removeFromWeekly(day, itemId) {
-        const weeklyPlan = await Storage.getWeeklyPlan();
-        const dayPlan = weeklyPlan.find(d => d.day === day);
-
+        const dayPlan = Store.getWeeklyDay(day);
         if (!dayPlan) return;
 
         dayPlan.items = dayPlan.items.filter(id => id !== itemId);
-        await Storage.saveWeeklyDay(dayPlan);
-
-        await UI.renderWeeklyOutfits();
+        await Store.saveWeeklyDay(dayPlan);
     },
 
     async saveWeeklyNotes(day, notes) {
-        const weeklyPlan = await Storage.getWeeklyPlan();
-        const dayPlan = weeklyPlan.find(d => d.day === day);
-
+        const dayPlan = Store.getWeeklyDay(day);
         if (!dayPlan) return;
 
         dayPlan.notes = notes;
-        await Storage.saveWeeklyDay(dayPlan);
+        await Store.saveWeeklyDay(dayPlan);
     },
 
     // ============ DAY TYPE EDITING ============
 
     editDayType(day) {
         this.currentEditingDay = day;
-        const weeklyPlan = Storage.getSetting('weeklyPlanCache') || [];
-        // We need to get the current type - for now use a prompt
-        const currentType = prompt('Enter day type (e.g., Client Day, Casual Friday):');
+        const currentType = prompt('Enter day type (e.g., Client Day, Casual Friday):', Store.getWeeklyDay(day)?.type || '');
         if (currentType !== null) {
             this.saveDayType(day, currentType);
         }
     },
 
     async saveDayType(day, type) {
-        const weeklyPlan = await Storage.getWeeklyPlan();
-        const dayPlan = weeklyPlan.find(d => d.day === day);
-
+        const dayPlan = Store.getWeeklyDay(day);
         if (!dayPlan) return;
 
         dayPlan.type = type || 'Regular Day';
-        await Storage.saveWeeklyDay(dayPlan);
-
-        await UI.renderWeeklyOutfits();
+        await Store.saveWeeklyDay(dayPlan);
     },
 
     // ============ OUTFIT BUILDER ============
 
-    async addToBuilder(itemId) {
-        if (this.builderItems.includes(itemId)) {
+    addToBuilder(itemId) {
+        const builderItems = Store.getBuilder();
+        if (builderItems.includes(itemId)) {
             UI.showToast('Item already in outfit');
             return;
         }
 
-        this.builderItems.push(itemId);
-        await UI.renderBuilderCanvas(this.builderItems);
+        Store.setBuilder([...builderItems, itemId]);
         UI.showToast('Added to outfit');
     },
 
-    async removeFromBuilder(itemId) {
-        this.builderItems = this.builderItems.filter(id => id !== itemId);
-        await UI.renderBuilderCanvas(this.builderItems);
+    removeFromBuilder(itemId) {
+        Store.removeFromBuilder([itemId]);
     },
 
     clearBuilder() {
-        this.builderItems = [];
-        UI.renderBuilderCanvas([]);
+        this.resetBuilder();
+    },
+
+    // Untracked, so saving an outfit can empty the builder within its own undo entry
+    resetBuilder() {
+        Store.setBuilder([]);
         document.getElementById('builder-notes').value = '';
     },
 
     async saveBuilderOutfit() {
-        if (this.builderItems.length === 0) {
+        const builderItems = Store.getBuilder();
+        if (builderItems.length === 0) {
             UI.showToast('Add some items first!');
             return;
         }
@@ -324,35 +582,323 @@ const App = {
         const notes = document.getElementById('builder-notes')?.value || '';
 
         const outfit = {
-            items: [...this.builderItems],
+            items: builderItems,
             notes: notes,
             date: new Date().toLocaleString()
         };
 
-        await Storage.saveOutfit(outfit);
+        await Store.saveOutfit(outfit);
 
         UI.showToast('Outfit saved! 💾');
-        this.clearBuilder();
-        await UI.renderSavedOutfits();
+        this.resetBuilder();
     },
 
-    async loadSavedOutfit(outfitId) {
-        const outfits = await Storage.getAllSavedOutfits();
-        const outfit = outfits.find(o => o.id === outfitId);
-
+    loadSavedOutfit(outfitId) {
+        const outfit = Store.getSavedOutfit(outfitId);
         if (!outfit) return;
 
-        this.builderItems = [...outfit.items];
+        Store.setBuilder(outfit.items.filter(id => Store.state.items.has(id)));
         document.getElementById('builder-notes').value = outfit.notes || '';
-        await UI.renderBuilderCanvas(this.builderItems);
 
         UI.showToast('Outfit loaded!');
     },
 
+    // ============ OUTFIT GENERATOR ============
+
+    // Propose outfits for the current weather in the builder
+    async suggestOutfits() {
+        let weatherData = window.currentWeather;
+        if (!weatherData) {
+            try {
+                const location = Weather.getLocation();
+                weatherData = await Weather.fetchWeather(location.lat, location.lon);
+            } catch (err) {
+                console.warn('Weather load failed:', err);
+            }
+        }
+
+        const conditions = Generator.getConditions(weatherData);
+        if (!conditions) {
+            UI.showToast('Outfit suggestions need the weather - please try again');
+            return;
+        }
+
+        this.generatedOutfits = Generator.generate(Store.getItems(), conditions);
+        await UI.renderGeneratedOutfits(this.generatedOutfits, conditions);
+    },
+
+    clearGeneratedOutfits() {
+        this.generatedOutfits = [];
+        UI.renderGeneratedOutfits(null);
+    },
+
+    // Items of a suggestion that are still in the wardrobe
+    generatedOutfitItems(index) {
+        const option = this.generatedOutfits[index];
+        return option ? option.items.filter(id => Store.state.items.has(id)) : [];
+    },
+
+    loadGeneratedOutfit(index) {
+        const items = this.generatedOutfitItems(index);
+        if (items.length === 0) return;
+
+        Store.setBuilder(items);
+        document.getElementById('builder-notes').value = '';
+        UI.showToast('Outfit loaded!');
+    },
+
+    // Plan a suggestion for a weekly day, replacing what was planned there
+    async acceptGeneratedOutfit(index, day) {
+        const dayPlan = Store.getWeeklyDay(day);
+        const items = this.generatedOutfitItems(index);
+        if (!dayPlan || items.length === 0) return;
+
+        dayPlan.items = items;
+        await Store.saveWeeklyDay(dayPlan);
+        UI.showToast(`Planned for ${day}`);
+    },
+
     async deleteSavedOutfit(outfitId) {
-        await Storage.deleteSavedOutfit(outfitId);
-        UI.showToast('Outfit deleted');
-        await UI.renderSavedOutfits();
+        await Store.deleteOutfit(outfitId);
+        UI.showToast('Outfit moved to trash');
+    },
+
+    // ============ TRIPS ============
+
+    openTripModal(tripId = null) {
+        const trip = tripId != null ? Store.getTrip(tripId) : null;
+        this.editingTripId = trip?.id ?? null;
+        this.tripDestination = trip?.destination ?? null;
+        this.tripDestinationResults = [];
+
+        document.getElementById('trip-modal-title').textContent = trip ? 'Edit Trip' : 'New Trip';
+        document.getElementById('trip-name').value = trip?.name || '';
+        document.getElementById('trip-destination').value = trip?.destination.name || '';
+        document.getElementById('trip-start').value = trip?.startDate || '';
+        document.getElementById('trip-end').value = trip?.endDate || '';
+        document.getElementById('trip-activities').value = (trip?.activities || []).join(', ');
+        UI.renderTripDestinationResults(null);
+
+        UI.openModal('trip-modal');
+    },
+
+    closeTripModal() {
+        this.editingTripId = null;
+        UI.closeModal('trip-modal');
+    },
+
+    async searchTripDestination() {
+        const query = document.getElementById('trip-destination').value.trim();
+        if (query.length < 2) {
+            UI.showToast('Type at least two letters of a place name');
+            return;
+        }
+
+        this.tripDestinationResults = await Weather.searchLocation(query);
+        UI.renderTripDestinationResults(this.tripDestinationResults);
+    },
+
+    chooseTripDestination(index) {
+        const location = this.tripDestinationResults[index];
+        if (!location) return;
+
+        this.tripDestination = location;
+        document.getElementById('trip-destination').value = location.name;
+        this.tripDestinationResults = [];
+        UI.renderTripDestinationResults(null);
+    },
+
+    // Create or update a trip from the modal. Days keep their outfits when the dates change
+    async saveTrip() {
+        const name = document.getElementById('trip-name').value.trim();
+        const destinationName = document.getElementById('trip-destination').value.trim();
+        const startDate = document.getElementById('trip-start').value;
+        const endDate = document.getElementById('trip-end').value;
+
+        if (!name) {
+            UI.showToast('Please give the trip a name');
+            return;
+        }
+        if (!this.tripDestination || this.tripDestination.name !== destinationName) {
+            UI.showToast('Search for the destination and choose it from the results');
+            return;
+        }
+        if (!startDate || !endDate || endDate < startDate) {
+            UI.showToast('Choose when the trip starts and ends');
+            return;
+        }
+        if (Trips.dateRange(startDate, endDate).at(-1) !== endDate) {
+            UI.showToast(`Trips can be up to ${Trips.MAX_DAYS} days long`);
+            return;
+        }
+
+        const trip = (this.editingTripId != null && Store.getTrip(this.editingTripId)) || { days: [], packed: [] };
+        const { lat, lon, name: placeName } = this.tripDestination;
+
+        trip.name = name;
+        trip.destination = { lat, lon, name: placeName };
+        trip.startDate = startDate;
+        trip.endDate = endDate;
+        trip.activities = Trips.parseActivities(document.getElementById('trip-activities').value);
+        trip.days = Trips.buildDays(startDate, endDate, trip.days);
+
+        const id = await Store.saveTrip(trip);
+
+        this.closeTripModal();
+        UI.showToast(`Trip to ${placeName.split(',')[0]} saved ✈️`);
+
+        // Not awaited: the forecast fetch shouldn't hold the undo entry open
+        this.openTrip(id);
+    },
+
+    // Show a trip below the list and fetch the forecast for its destination
+    async openTrip(id) {
+        this.currentTripId = id;
+        await UI.renderTrips();
+        await this.loadTripWeather();
+    },
+
+    closeTrip() {
+        this.currentTripId = null;
+        UI.renderTrips();
+    },
+
+    async loadTripWeather() {
+        const trip = Store.getTrip(this.currentTripId);
+        if (!trip) return;
+
+        try {
+            const { lat, lon } = trip.destination;
+            this.tripWeather = { location: { lat, lon }, data: await Weather.fetchWeather(lat, lon) };
+        } catch (err) {
+            console.warn('Trip weather load failed:', err);
+        }
+        await UI.renderTripDetail();
+    },
+
+    // Forecast data for a trip's destination, once it has loaded
+    tripWeatherFor(trip) {
+        return Weather.isSameLocation(this.tripWeather?.location, trip.destination) ? this.tripWeather.data : null;
+    },
+
+    async deleteTrip(id) {
+        if (this.currentTripId === id) this.currentTripId = null;
+        await Store.deleteTrip(id);
+        UI.showToast('Trip deleted');
+    },
+
+    // Fill one day with an outfit for its forecast, replacing what was planned
+    async planTripDay(tripId, date) {
+        const trip = Store.getTrip(tripId);
+        const day = trip?.days.find(d => d.date === date);
+        if (!day) return;
+
+        const weatherData = this.tripWeatherFor(trip);
+        if (!Weather.getForecastForDate(weatherData, date)) {
+            UI.showToast(`No forecast for ${Trips.formatDay(date)} yet - forecasts reach ${Weather.FORECAST_DAYS} days ahead`);
+            return;
+        }
+
+        const items = Trips.planDay(trip, date, weatherData, Store.getItems());
+        if (!items) {
+            UI.showToast('Add tops and bottoms, or dresses, to plan outfits. Pieces in the laundry are skipped.');
+            return;
+        }
+
+        day.items = items;
+        await Store.saveTrip(trip);
+    },
+
+    // Plan every empty day that has a forecast, one after another so later
+    // days can reuse pieces from earlier ones
+    async planTrip(tripId) {
+        const trip = Store.getTrip(tripId);
+        if (!trip) return;
+
+        const weatherData = this.tripWeatherFor(trip);
+        const items = Store.getItems();
+        let planned = 0;
+
+        for (const day of trip.days) {
+            if (day.items.length > 0) continue;
+
+            const outfit = Trips.planDay(trip, day.date, weatherData, items);
+            if (!outfit) continue;
+
+            day.items = outfit;
+            planned++;
+        }
+
+        if (planned === 0) {
+            UI.showToast('Nothing to plan - days that already have an outfit or no forecast yet are skipped');
+            return;
+        }
+
+        await Store.saveTrip(trip);
+        UI.showToast(`Planned ${planned} day${planned === 1 ? '' : 's'}`);
+    },
+
+    // Pick pieces for a trip day with the weekly planner's item picker
+    openTripDayModal(tripId, date) {
+        this.currentTripDay = { tripId, date };
+        UI.renderWeeklyAddModal('addToTripDayFromModal');
+        UI.openModal('weekly-add-modal');
+    },
+
+    // DragDrop.addToTripDay records the change, so this handler isn't tracked itself
+    async addToTripDayFromModal(itemId) {
+        if (!this.currentTripDay) return;
+
+        const { tripId, date } = this.currentTripDay;
+        if (await DragDrop.addToTripDay(tripId, date, itemId)) {
+            this.closeWeeklyModal();
+        }
+    },
+
+    async removeFromTripDay(tripId, date, itemId) {
+        const trip = Store.getTrip(tripId);
+        const day = trip?.days.find(d => d.date === date);
+        if (!day) return;
+
+        day.items = day.items.filter(id => id !== itemId);
+        await Store.saveTrip(trip);
+    },
+
+    async setTripDayActivity(tripId, date, activity) {
+        const trip = Store.getTrip(tripId);
+        const day = trip?.days.find(d => d.date === date);
+        if (!day) return;
+
+        day.activity = activity;
+        await Store.saveTrip(trip);
+    },
+
+    async togglePacked(tripId, itemId) {
+        const trip = Store.getTrip(tripId);
+        if (!trip) return;
+
+        const packed = new Set(trip.packed || []);
+        if (packed.has(itemId)) {
+            packed.delete(itemId);
+        } else {
+            packed.add(itemId);
+        }
+
+        trip.packed = [...packed];
+        await Store.saveTrip(trip);
+    },
+
+    // Print only the packing checklist
+    printPackingList(tripId) {
+        const trip = Store.getTrip(tripId);
+        if (!trip) return;
+
+        UI.renderPackingPrint(trip);
+        document.body.classList.add('printing-packing-list');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-packing-list');
+        }, { once: true });
+        window.print();
     },
 
     // ============ SHOPPING LIST ============
@@ -363,6 +909,7 @@ const App = {
         document.getElementById('shop-desc').value = '';
         document.getElementById('shop-price').value = '';
         document.getElementById('shop-preview').style.display = 'none';
+        this.pendingShopPhoto = null;
 
         UI.openModal('shopping-modal');
     },
@@ -380,13 +927,18 @@ const App = {
 
         const desc = document.getElementById('shop-desc').value.trim();
         const price = document.getElementById('shop-price').value.trim();
-        const preview = document.getElementById('shop-preview');
 
         let imageId = null;
-        if (preview.style.display !== 'none' && preview.src) {
+        if (this.pendingShopPhoto) {
             // Save image and get ID
-            imageId = Date.now();
-            await Storage.saveImage(imageId, preview.src);
+            imageId = Ids.generate();
+            try {
+                const { blob, thumb } = await Images.processUpload(this.pendingShopPhoto);
+                await Store.saveImage(imageId, blob, thumb);
+            } catch (err) {
+                this.showUploadError(err);
+                return;
+            }
         }
 
         const item = {
@@ -396,17 +948,15 @@ const App = {
             imageId
         };
 
-        await Storage.saveShoppingItem(item);
+        await Store.saveShoppingItem(item);
 
         this.closeShoppingModal();
         UI.showToast('Added to shopping list! 🛍️');
-        await UI.renderShoppingList();
     },
 
     async deleteShoppingItem(itemId) {
-        await Storage.deleteShoppingItem(itemId);
-        UI.showToast('Removed from list');
-        await UI.renderShoppingList();
+        await Store.deleteShoppingItem(itemId);
+        UI.showToast('Moved to trash');
     },
 
     // ============ CUSTOM SECTIONS ============
@@ -428,24 +978,20 @@ const App = {
         }
 
         const section = { name, items: [] };
-        await Storage.saveCustomSection(section);
+        await Store.saveSection(section);
 
         this.closeAddSectionModal();
         UI.showToast(`Section "${name}" created!`);
-        await UI.renderWardrobe();
     },
 
     async editSectionTitle(sectionId) {
-        const sections = await Storage.getAllCustomSections();
-        const section = sections.find(s => s.id === sectionId);
-
+        const section = Store.getSection(sectionId);
         if (!section) return;
 
         const newName = prompt('Enter new section name:', section.name);
         if (newName && newName.trim()) {
             section.name = newName.trim();
-            await Storage.saveCustomSection(section);
-            await UI.renderWardrobe();
+            await Store.saveSection(section);
         }
     },
 
@@ -454,21 +1000,10 @@ const App = {
             return;
         }
 
-        // Move items to trash
-        const items = await Storage.getAllItems();
-        const sectionItems = items.filter(i => i.category === `custom-${sectionId}`);
-
-        for (const item of sectionItems) {
-            item.deleted = true;
-            item.originalCategory = item.category;
-            await Storage.saveToTrash(item);
-            await Storage.deleteItem(item.id);
-        }
-
-        await Storage.deleteCustomSection(sectionId);
+        // Items in the section move to the trash
+        await Store.deleteSection(sectionId);
 
         UI.showToast('Section deleted');
-        await UI.renderWardrobe();
     },
 
     // ============ FILE UPLOADS ============
@@ -486,6 +1021,12 @@ const App = {
             shopPhoto.addEventListener('change', (e) => this.handleShopPhotoUpload(e));
         }
 
+        // Replacement photo from Item Details
+        const detailPhoto = document.getElementById('detail-photo');
+        if (detailPhoto) {
+            detailPhoto.addEventListener('change', (e) => this.replaceItemPhoto(e));
+        }
+
         // Builder upload
         const builderUpload = document.getElementById('builder-upload');
         if (builderUpload) {
@@ -494,158 +1035,419 @@ const App = {
     },
 
     handleWardrobeUpload(e) {
-        const files = e.target.files;
+        const files = Array.from(e.target.files);
         const container = document.getElementById('upload-preview-container');
 
         if (!container) return;
 
-        container.innerHTML = '';
+        this.clearUploadPreviews();
+        this.pendingUploads = files;
 
         for (const file of files) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const img = document.createElement('img');
-                img.src = event.target.result;
-                img.className = 'preview-image';
-                img.dataset.base64 = event.target.result;
-                container.appendChild(img);
-            };
-            reader.readAsDataURL(file);
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(file);
+            img.className = 'preview-image';
+            container.appendChild(img);
         }
     },
 
+    // Remove upload previews and release their object URLs
+    clearUploadPreviews() {
+        const container = document.getElementById('upload-preview-container');
+        if (container) {
+            container.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+            container.innerHTML = '';
+        }
+        this.pendingUploads = [];
+    },
+
     handleShopPhotoUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const preview = document.getElementById('shop-preview');
-            if (preview) {
-                preview.src = event.target.result;
-                preview.style.display = 'block';
-            }
-        };
-        reader.readAsDataURL(file);
+        this.pendingShopPhoto = file;
+
+        const preview = document.getElementById('shop-preview');
+        if (preview) {
+            if (preview.src) URL.revokeObjectURL(preview.src);
+            preview.src = URL.createObjectURL(file);
+            preview.style.display = 'block';
+        }
     },
 
     async handleBuilderUpload(e) {
         const files = e.target.files;
         const category = 'other'; // Default category for builder uploads
 
-        for (const file of files) {
-            const base64 = await this.readFileAsBase64(file);
-            const imageId = Date.now() + Math.random();
+        let saved = 0;
+        try {
+            for (const file of files) {
+                saved += await this.saveUploadedPhoto(file, category);
+            }
+        } catch (err) {
+            this.showUploadError(err);
+            return;
+        }
 
-            await Storage.saveImage(imageId, base64);
+        UI.showToast(`Items added!${this.describeSavings(saved)}`);
+        this.checkStorageSpace();
+    },
 
-            const item = {
-                imageId,
-                category,
-                favorite: false,
-                laundry: false,
-                dateAdded: new Date().toISOString()
-            };
+    // Optimize and store a photo, then create a wardrobe item for it.
+    // Resolves to the number of bytes the upload pipeline saved
+    async saveUploadedPhoto(file, category) {
+        const imageId = Ids.generate();
+        const { blob, thumb, originalSize, size } = await Images.processUpload(file);
+
+        await Store.saveImage(imageId, blob, thumb);
+
+        const item = Storage.normalizeItem({
+            id: Ids.generate(),
+            imageId,
+            category,
+            favorite: false,
+            laundry: false,
+            dateAdded: new Date().toISOString()
+        });
 
-            await Storage.saveItem(item);
-        }
+        await Store.saveItem(item);
+        return Math.max(0, originalSize - size);
+    },
 
-        UI.showToast('Items added!');
-        await UI.renderBuilderPalette();
-        await UI.renderWardrobe();
+    describeSavings(bytes) {
+        return bytes > 0 ? ` Saved ${UI.formatBytes(bytes)}.` : '';
     },
 
-    readFileAsBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
+    showUploadError(err) {
+        console.error('Upload error:', err);
+        UI.showToast(err.name === 'QuotaExceededError' ? err.message : 'Failed to save photo');
     },
 
     // ============ UPLOAD MODAL ============
 
     openUploadModal() {
-        document.getElementById('upload-preview-container').innerHTML = '';
+        this.clearUploadPreviews();
         document.getElementById('wardrobe-upload').value = '';
         UI.openModal('upload-modal');
     },
 
     closeUploadModal() {
+        this.clearUploadPreviews();
         UI.closeModal('upload-modal');
     },
 
     async processUpload() {
-        const container = document.getElementById('upload-preview-container');
         const category = document.getElementById('upload-category').value;
+        const files = this.pendingUploads;
 
-        const images = container.querySelectorAll('img');
-
-        if (images.length === 0) {
+        if (files.length === 0) {
             UI.showToast('Please select photos first');
             return;
         }
 
-        for (const img of images) {
-            const base64 = img.dataset.base64;
-            const imageId = Date.now() + Math.random();
-
-            await Storage.saveImage(imageId, base64);
-
-            const item = {
-                imageId,
-                category,
-                favorite: false,
-                laundry: false,
-                dateAdded: new Date().toISOString()
-            };
-
-            await Storage.saveItem(item);
+        let saved = 0;
+        try {
+            for (const file of files) {
+                saved += await this.saveUploadedPhoto(file, category);
+            }
+        } catch (err) {
+            this.showUploadError(err);
+            return;
         }
 
         this.closeUploadModal();
-        UI.showToast(`${images.length} item(s) added to wardrobe! 📸`);
-        await UI.renderWardrobe();
-        await UI.renderBuilderPalette();
+        UI.showToast(`${files.length} item(s) added to wardrobe! 📸${this.describeSavings(saved)}`);
+        this.checkStorageSpace();
     },
 
     // ============ SETTINGS ============
 
     openSettings() {
         // Populate current values
-        document.getElementById('settings-name').value = Storage.getSetting('userName', 'Emily');
+        document.getElementById('settings-name').value = Profiles.activeName();
+        UI.renderProfileList();
 
         const location = Storage.getSetting('location');
-        document.getElementById('settings-location').value = location?.name || 'Not set';
+        document.getElementById('settings-location').value = location?.name || '';
+        this.locationResults = [];
+        UI.renderLocationResults(null);
+        UI.renderSavedLocations();
 
         document.getElementById('settings-temp-unit').value = Storage.getSetting('tempUnit', 'fahrenheit');
 
+        const windows = Weather.getOutdoorWindows();
+        [1, 2].forEach((n, i) => {
+            document.getElementById(`settings-window${n}-start`).value = windows[i]?.start || '';
+            document.getElementById(`settings-window${n}-end`).value = windows[i]?.end || '';
+        });
+        document.getElementById('settings-backup-format').value = Storage.getSetting('backupFormat', 'zip');
+        document.getElementById('settings-backup-encryption').value = Storage.getSetting('backupEncryption', 'none');
+
+        const autoBackup = AutoBackup.getSettings();
+        document.getElementById('settings-autobackup-schedule').value = autoBackup.schedule;
+        document.getElementById('settings-autobackup-changes').value = String(autoBackup.afterChanges);
+        document.getElementById('settings-autobackup-keep').value = String(autoBackup.keep);
+        this.refreshBackupHistory();
+        this.refreshStorage();
+        document.getElementById('settings-trash-retention').value = String(Storage.getSetting('trashRetentionDays', 30));
+
+        const upload = Images.getUploadSettings();
+        document.getElementById('settings-upload-size').value = String(upload.maxDimension);
+        document.getElementById('settings-upload-format').value = upload.format;
+        document.getElementById('settings-upload-quality').value = Math.round(upload.quality * 100);
+        UI.updateQualityLabel();
+
         UI.openModal('settings-modal');
     },
 
     closeSettings() {
+        this.pendingRepair = null;
+        UI.renderIntegrityReport(null);
         UI.closeModal('settings-modal');
     },
 
+    async checkIntegrity() {
+        try {
+            this.pendingRepair = await Integrity.check();
+            UI.renderIntegrityReport(this.pendingRepair);
+        } catch (err) {
+            console.error('Integrity check error:', err);
+            UI.showToast('Could not check data');
+        }
+    },
+
+    async repairIntegrity() {
+        if (!this.pendingRepair) return;
+
+        try {
+            await Integrity.repair(this.pendingRepair);
+            UI.showToast(`Fixed ${this.pendingRepair.total} problem(s)`);
+            this.pendingRepair = null;
+            await this.checkIntegrity();
+        } catch (err) {
+            console.error('Integrity repair error:', err);
+            UI.showToast('Repair failed - nothing was changed');
+        }
+    },
+
+    // ============ STORAGE ============
+
+    async refreshStorage() {
+        try {
+            const [estimate, breakdown] = await Promise.all([Quota.estimate(), Quota.breakdown()]);
+            UI.renderStoragePanel(estimate, breakdown);
+        } catch (err) {
+            console.error('Storage usage error:', err);
+        }
+    },
+
+    // Toast once per visit when usage nears the quota
+    async checkStorageSpace() {
+        try {
+            if (await Quota.shouldWarn()) {
+                UI.showToast('Storage is nearly full. Free up space in Settings > Storage.');
+            }
+        } catch (err) {
+            console.warn('Storage estimate failed:', err);
+        }
+    },
+
+    async requestPersistentStorage() {
+        const granted = await Quota.requestPersistence();
+        UI.showToast(granted
+            ? 'Your wardrobe will be kept permanently'
+            : 'The browser declined. It may allow this once the app is installed or used more often');
+        await this.refreshStorage();
+    },
+
+    // action is 'trash', 'recompress' or 'orphans'
+    async cleanupStorage(action) {
+        try {
+            if (action === 'trash') {
+                await this.emptyTrash();
+            } else if (action === 'recompress') {
+                if (!confirm('Recompress all photos with the current upload settings? Replaced photos cannot be brought back to their original quality.')) {
+                    return;
+                }
+
+                const { count, saved } = await Quota.recompressImages((done, total) => UI.setRecompressProgress(done, total));
+                UI.showToast(count > 0
+                    ? `Recompressed ${count} photo(s), saving ${UI.formatBytes(saved)}`
+                    : 'Photos are already as small as these settings allow');
+            } else if (action === 'orphans') {
+                const { count, saved } = await Quota.deleteOrphanedImages();
+                if (count > 0) Journal.clear();
+                UI.showToast(count > 0
+                    ? `Deleted ${count} unused photo(s), freeing ${UI.formatBytes(saved)}`
+                    : 'No unused photos found');
+            }
+        } catch (err) {
+            console.error('Storage cleanup error:', err);
+            UI.showToast('Cleanup failed');
+        } finally {
+            UI.setRecompressProgress(null);
+        }
+
+        await this.refreshStorage();
+    },
+
     async saveSettings() {
-        const name = document.getElementById('settings-name').value.trim() || 'Emily';
+        const name = document.getElementById('settings-name').value.trim() || Profiles.activeName();
         const tempUnit = document.getElementById('settings-temp-unit').value;
 
         Storage.setSetting('userName', name);
         Storage.setSetting('tempUnit', tempUnit);
+        Storage.setSetting('outdoorWindows', this.readOutdoorWindows());
+        Storage.setSetting('backupFormat', document.getElementById('settings-backup-format').value);
+        Storage.setSetting('backupEncryption', document.getElementById('settings-backup-encryption').value);
+        Storage.setSetting('autoBackupSchedule', document.getElementById('settings-autobackup-schedule').value);
+        Storage.setSetting('autoBackupAfterChanges', Number(document.getElementById('settings-autobackup-changes').value));
+        Storage.setSetting('autoBackupKeep', Number(document.getElementById('settings-autobackup-keep').value));
+        Storage.setSetting('trashRetentionDays', Number(document.getElementById('settings-trash-retention').value));
+        Storage.setSetting('uploadMaxDimension', Number(document.getElementById('settings-upload-size').value));
+        Storage.setSetting('uploadFormat', document.getElementById('settings-upload-format').value);
+        Storage.setSetting('uploadQuality', Number(document.getElementById('settings-upload-quality').value) / 100);
 
         // Clear weather cache to refresh with new unit
         Storage.setSetting('weatherCache', null);
 
         this.closeSettings();
+        await this.purgeExpiredTrash();
+        UI.renderTrash(Store.getTrash());
         UI.updateGreeting();
+        UI.renderProfileSwitcher();
         await UI.renderWeather();
+        if (this.currentTripId != null) await this.loadTripWeather();
         UI.showToast('Settings saved!');
     },
 
+    // Time windows from settings; incomplete or backwards ones are left out
+    readOutdoorWindows() {
+        return [1, 2]
+            .map(n => ({
+                start: document.getElementById(`settings-window${n}-start`).value,
+                end: document.getElementById(`settings-window${n}-end`).value
+            }))
+            .filter(w => w.start && w.end && w.start < w.end);
+    },
+
+    // ============ PROFILES ============
+
+    switchProfile(profileId) {
+        if (profileId === 'new') {
+            this.addProfile();
+            return;
+        }
+        Profiles.switchTo(profileId);
+    },
+
+    addProfile() {
+        const name = prompt('Name for the new profile:')?.trim();
+
+        // Put the header dropdown back on the current profile
+        UI.renderProfileSwitcher();
+        if (!name) return;
+
+        const profileId = Profiles.create(name);
+        Profiles.switchTo(profileId);
+    },
+
+    async deleteProfile(profileId) {
+        const name = Profiles.nameOf(profileId);
+        if (!confirm(`Delete ${name}'s profile with all of its items, photos and plans? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await Profiles.remove(profileId);
+            UI.renderProfileList();
+            UI.renderProfileSwitcher();
+            UI.showToast(`Deleted ${name}'s profile`);
+        } catch (err) {
+            console.error('Delete profile error:', err);
+            UI.showToast('Could not delete profile');
+        }
+    },
+
+    // ============ AUTOMATIC BACKUPS ============
+
+    async refreshBackupHistory() {
+        try {
+            const [history, folder] = await Promise.all([AutoBackup.getHistory(), AutoBackup.getFolderState()]);
+            this.backupHistory = history;
+            UI.renderBackupHistory(history, folder, Storage.getSetting('autoBackupLastResult'));
+        } catch (err) {
+            console.error('Backup history error:', err);
+        }
+    },
+
+    async backupNow() {
+        const result = await AutoBackup.run('manual');
+        if (!result) return;
+
+        UI.showToast(result.ok
+            ? `Backup saved ${result.savedTo === 'folder' ? 'to your backup folder' : 'in this browser'}`
+            : 'Backup failed');
+        await this.refreshBackupHistory();
+    },
+
+    async chooseBackupFolder() {
+        try {
+            await AutoBackup.chooseFolder();
+            UI.showToast('Backups will be saved to this folder');
+        } catch (err) {
+            // Closing the picker isn't an error
+            if (err.name !== 'AbortError') {
+                console.error('Backup folder error:', err);
+                UI.showToast('Could not use that folder');
+            }
+        }
+        await this.refreshBackupHistory();
+    },
+
+    // Browsers ask again for folder access after a restart
+    async reconnectBackupFolder() {
+        const folder = await AutoBackup.getFolder({ askPermission: true });
+        if (!folder) UI.showToast('Folder access was not allowed');
+        await this.refreshBackupHistory();
+    },
+
+    async useBrowserBackups() {
+        await AutoBackup.forgetFolder();
+        UI.showToast('Backups will be kept in this browser');
+        await this.refreshBackupHistory();
+    },
+
+    // Restore goes through the usual import summary, so merge or replace can be chosen
+    async restoreBackup(index) {
+        const entry = this.backupHistory[index];
+        if (!entry) return;
+
+        try {
+            const blob = await AutoBackup.getBlob(entry.source, entry.key);
+            const data = await Backup.readFile(blob);
+            this.closeSettings();
+            await this.prepareImport(data);
+        } catch (err) {
+            console.error('Restore backup error:', err);
+            UI.showToast('Could not read that backup');
+        }
+    },
+
+    async downloadBackup(index) {
+        const entry = this.backupHistory[index];
+        if (!entry) return;
+
+        try {
+            this.downloadBlob(await AutoBackup.getBlob(entry.source, entry.key), entry.name);
+        } catch (err) {
+            console.error('Download backup error:', err);
+            UI.showToast('Could not read that backup');
+        }
+    },
+
     async detectLocation() {
-        const btn = document.querySelector('#settings-modal .btn-secondary');
+        const btn = document.getElementById('detect-location-btn');
         const locationInput = document.getElementById('settings-location');
 
         if (btn) btn.disabled = true;
@@ -654,6 +1456,8 @@ const App = {
         try {
             const location = await Weather.getCurrentLocation();
             if (locationInput) locationInput.value = location.name;
+            UI.renderSavedLocations();
+            UI.renderWeather();
             UI.showToast('Location updated!');
         } catch (err) {
             if (locationInput) locationInput.value = 'Detection failed';
@@ -663,6 +1467,68 @@ const App = {
         if (btn) btn.disabled = false;
     },
 
+    async searchLocation() {
+        const query = document.getElementById('settings-location').value.trim();
+        if (query.length < 2) {
+            UI.showToast('Type at least two letters of a place name');
+            return;
+        }
+
+        this.locationResults = await Weather.searchLocation(query);
+        UI.renderLocationResults(this.locationResults);
+    },
+
+    // Show the weather for a place right away
+    async useLocation(location) {
+        Weather.setLocation(location);
+
+        document.getElementById('settings-location').value = location.name;
+        this.locationResults = [];
+        UI.renderLocationResults(null);
+        UI.renderSavedLocations();
+
+        await UI.renderWeather();
+        UI.showToast(`Showing weather for ${location.name}`);
+    },
+
+    useLocationResult(index) {
+        const location = this.locationResults[index];
+        if (location) this.useLocation(location);
+    },
+
+    // Ask for a short name like "Home" and add the place to the saved list
+    saveLocationAs(location) {
+        const label = prompt('Name this place (e.g. Home, Office):', location.name.split(',')[0]);
+        if (!label?.trim()) return false;
+
+        Weather.saveLocation(location, label.trim());
+        return true;
+    },
+
+    saveLocationResult(index) {
+        const location = this.locationResults[index];
+        if (location && this.saveLocationAs(location)) this.useLocation(location);
+    },
+
+    saveCurrentLocation() {
+        if (this.saveLocationAs(Weather.getLocation())) {
+            UI.renderSavedLocations();
+            UI.renderWeather();
+        }
+    },
+
+    // Quick switch from the weather widget
+    switchLocation(id) {
+        const location = Weather.getSavedLocations().find(l => l.id === id);
+        if (location) this.useLocation(location);
+    },
+
+    removeSavedLocation(id) {
+        Weather.removeSavedLocation(id);
+        UI.renderSavedLocations();
+        UI.renderWeather();
+    },
+
     // ============ WELCOME MODAL ============
 
     showWelcomeModal() {
@@ -670,13 +1536,14 @@ const App = {
     },
 
     async completeWelcome() {
-        const name = document.getElementById('welcome-name').value.trim() || 'Emily';
+        const name = document.getElementById('welcome-name').value.trim() || Profiles.activeName();
         Storage.setSetting('userName', name);
         Storage.setMigrated();
 
         UI.closeModal('welcome-modal');
         this.loadTheme();
         UI.updateGreeting();
+        UI.renderProfileSwitcher();
 
         // Try to get location
         this.requestLocation();
@@ -714,19 +1581,16 @@ const App = {
 
     // ============ DATA EXPORT/IMPORT ============
 
-    async exportData() {
-        try {
-            const data = await Storage.exportAllData();
-            const json = JSON.stringify(data, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `wardrobe-backup-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
+    // Encrypted backups ask for a passphrase first and come back with it
+    async exportData(format = Storage.getSetting('backupFormat', 'zip'), passphrase = null) {
+        if (!passphrase && Storage.getSetting('backupEncryption', 'none') === 'passphrase') {
+            UI.openPassphraseModal('export');
+            return;
+        }
 
-            URL.revokeObjectURL(url);
+        try {
+            const { blob, extension } = await Backup.create(format, { passphrase });
+            this.downloadBlob(blob, `wardrobe-backup-${Profiles.activeSlug()}-${new Date().toISOString().split('T')[0]}.${extension}`);
             UI.showToast('Backup downloaded!');
         } catch (err) {
             console.error('Export error:', err);
@@ -734,27 +1598,37 @@ const App = {
         }
     },
 
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     async importData() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.zip,.json,.enc,application/zip,application/json';
 
         input.onchange = async (e) => {
             const file = e.target.files[0];
             if (!file) return;
 
             try {
-                const text = await file.text();
-                const data = JSON.parse(text);
-
-                if (!confirm('This will replace all your current data. Continue?')) {
+                if (await Backup.isEncrypted(file)) {
+                    this.pendingEncryptedFile = file;
+                    UI.openPassphraseModal('import');
                     return;
                 }
 
-                await Storage.importAllData(data);
+                const data = await Backup.readFile(file);
 
-                UI.showToast('Data imported successfully!');
-                window.location.reload();
+                await this.prepareImport(data);
             } catch (err) {
                 console.error('Import error:', err);
                 UI.showToast('Import failed - invalid file');
@@ -762,9 +1636,136 @@ const App = {
         };
 
         input.click();
+    },
+
+    closePassphraseModal() {
+        this.pendingEncryptedFile = null;
+        UI.closeModal('passphrase-modal');
+    },
+
+    async confirmPassphrase() {
+        const passphrase = document.getElementById('passphrase-input').value;
+        const confirmation = document.getElementById('passphrase-confirm').value;
+        const exporting = !this.pendingEncryptedFile;
+
+        if (!passphrase) {
+            UI.showPassphraseError('Please enter a passphrase');
+            return;
+        }
+
+        if (exporting) {
+            if (passphrase !== confirmation) {
+                UI.showPassphraseError('The passphrases do not match');
+                return;
+            }
+            this.closePassphraseModal();
+            await this.exportData(undefined, passphrase);
+            return;
+        }
+
+        UI.setPassphraseBusy(true);
+        try {
+            const data = await Backup.readFile(this.pendingEncryptedFile, passphrase);
+            this.closePassphraseModal();
+            await this.prepareImport(data);
+        } catch (err) {
+            if (err.name === 'WrongPassphraseError' || err.name === 'TamperedBackupError') {
+                UI.showPassphraseError(err.message);
+            } else {
+                console.error('Import error:', err);
+                this.closePassphraseModal();
+                UI.showToast('Import failed - invalid file');
+            }
+        } finally {
+            UI.setPassphraseBusy(false);
+        }
+    },
+
+    // Check the backup and work out what the import would change, and show
+    // both before writing anything. A backup that fails the check can't be imported
+    async prepareImport(data) {
+        const report = Schema.validate(data);
+        const plan = report.ok ? await Merge.plan(data) : null;
+        this.pendingImport = report.ok ? { data, plan } : null;
+
+        await UI.renderImportSummary(plan, data, report);
+        UI.openModal('import-modal');
+    },
+
+    closeImportModal() {
+        this.pendingImport = null;
+        UI.closeModal('import-modal');
+    },
+
+    async confirmImport(mode) {
+        if (!this.pendingImport) return;
+
+        const { data, plan } = this.pendingImport;
+
+        if (mode === 'replace' && !confirm('This will replace all your current data. Continue?')) {
+            return;
+        }
+
+        try {
+            if (mode === 'merge') {
+                await Merge.apply(plan);
+            } else {
+                await Storage.importAllData(data);
+            }
+
+            this.closeImportModal();
+            UI.showToast(mode === 'merge' ? 'Backup merged successfully!' : 'Data imported successfully!');
+            Sync.announceReload();
+            window.location.reload();
+        } catch (err) {
+            console.error('Import error:', err);
+            UI.showToast('Import failed. Nothing on this device was changed.');
+        }
     }
 };
 
+// Every action that changes data can be undone with the toast button or Ctrl+Z
+Journal.track(App, {
+    toggleLaundry: 'Laundry change',
+    toggleFavorite: 'Favorite change',
+    deleteItem: 'Move to trash',
+    restoreItem: 'Restore item',
+    restoreItemTo: 'Restore item',
+    wearItem: 'Log wear',
+    wearWeeklyDay: 'Log wear',
+    wearSavedOutfit: 'Log wear',
+    removeWearEntry: 'Remove wear entry',
+    moveItemToCategory: 'Move item',
+    saveItemDetail: 'Edit details',
+    replaceItemPhoto: 'Replace photo',
+    addToWeeklyFromModal: 'Add to weekly plan',
+    removeFromWeekly: 'Remove from weekly plan',
+    saveWeeklyNotes: 'Edit notes',
+    saveDayType: 'Change day type',
+    addToBuilder: 'Add to outfit',
+    removeFromBuilder: 'Remove from outfit',
+    clearBuilder: 'Clear outfit',
+    saveBuilderOutfit: 'Save outfit',
+    loadSavedOutfit: 'Load outfit',
+    loadGeneratedOutfit: 'Load outfit',
+    acceptGeneratedOutfit: 'Plan outfit',
+    deleteSavedOutfit: 'Delete outfit',
+    addShoppingItem: 'Add to shopping list',
+    deleteShoppingItem: 'Remove from shopping list',
+    saveTrip: 'Save trip',
+    deleteTrip: 'Delete trip',
+    planTripDay: 'Plan trip day',
+    planTrip: 'Plan trip',
+    removeFromTripDay: 'Remove from trip',
+    setTripDayActivity: 'Change activity',
+    togglePacked: 'Packing change',
+    createNewSection: 'Create section',
+    editSectionTitle: 'Rename section',
+    deleteSection: 'Delete section',
+    handleBuilderUpload: 'Add photos',
+    processUpload: 'Add photos'
+});
+
 // Tab switching function (global for onclick handlers)
 function showTab(name) {
     UI.showTab(name);
@@ -0,0 +1,244 @@
+/**
+ * AutoBackup Module - Scheduled backups with rotation
+ * Backups are written to a folder the user picked (File System Access API)
+ * when possible, otherwise kept as snapshots in IndexedDB. Only the newest
+ * few are kept in either place
+ */
+
+const AutoBackup = {
+    // How often to check whether a scheduled backup is due
+    CHECK_INTERVAL: 60 * 60 * 1000,
+
+    SCHEDULES: {
+        daily: 24 * 60 * 60 * 1000,
+        weekly: 7 * 24 * 60 * 60 * 1000
+    },
+
+    FOLDER_HANDLE: 'backupFolder',
+    FILE_PREFIX: 'wardrobe-auto-',
+
+    running: false,
+    timer: null,
+
+    init() {
+        Store.on('*', (change) => this.countChange(change));
+
+        this.timer = setInterval(() => this.runIfDue(), this.CHECK_INTERVAL);
+        this.runIfDue();
+    },
+
+    getSettings() {
+        return {
+            schedule: Storage.getSetting('autoBackupSchedule', 'off'),
+            afterChanges: Storage.getSetting('autoBackupAfterChanges', 0),
+            keep: Storage.getSetting('autoBackupKeep', 5)
+        };
+    },
+
+    // ============ TRIGGERS ============
+
+    // Changes are counted in settings, so every window of the profile adds to the same count
+    countChange(change) {
+        if (change.remote || change.broadcast === false || Sync.LOCAL_SLICES.includes(change.slice)) return;
+
+        const { afterChanges } = this.getSettings();
+        if (!afterChanges) return;
+
+        const count = Storage.getSetting('autoBackupPendingChanges', 0) + 1;
+        Storage.setSetting('autoBackupPendingChanges', count);
+
+        if (count >= afterChanges) this.run('changes');
+    },
+
+    isDue() {
+        const interval = this.SCHEDULES[this.getSettings().schedule];
+        if (!interval) return false;
+
+        const last = Date.parse(Storage.getSetting('autoBackupLastDate', '')) || 0;
+        return Date.now() - last >= interval;
+    },
+
+    async runIfDue() {
+        if (this.isDue()) await this.run('schedule');
+    },
+
+    // Write one backup now; reason is 'schedule', 'changes' or 'manual'
+    async run(reason) {
+        if (this.running) return null;
+        this.running = true;
+
+        const date = new Date().toISOString();
+
+        // Claim the backup before the slow part so other windows don't start one too
+        Storage.setSetting('autoBackupLastDate', date);
+        Storage.setSetting('autoBackupPendingChanges', 0);
+
+        try {
+            const { blob } = await Backup.create('zip');
+            const name = this.fileName(date);
+
+            const savedTo = await this.writeToFolder(name, blob) ? 'folder' : 'browser';
+            if (savedTo === 'browser') {
+                await this.saveSnapshot({ id: Ids.generate(), name, date, reason, size: blob.size, blob });
+            }
+
+            const result = { date, ok: true, savedTo };
+            Storage.setSetting('autoBackupLastResult', result);
+            return result;
+        } catch (err) {
+            console.warn('Automatic backup failed:', err);
+            const result = { date, ok: false, error: err.message };
+            Storage.setSetting('autoBackupLastResult', result);
+            return result;
+        } finally {
+            this.running = false;
+        }
+    },
+
+    // wardrobe-auto-emily-<profile id>-2026-01-31T08-15-00.zip. The name is only
+    // there for people browsing the folder; the ID tells profiles apart
+    fileName(date) {
+        const stamp = date.slice(0, 19).replace(/:/g, '-');
+        return `${this.FILE_PREFIX}${Profiles.activeSlug()}-${Profiles.activeId()}-${stamp}.zip`;
+    },
+
+    // Matches this profile's backup files under any name the profile has had,
+    // capturing the date stamp
+    filePattern() {
+        return new RegExp(`^${this.FILE_PREFIX}(?:[a-z0-9-]+-)?${Profiles.activeId()}-(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2})\\.zip$`);
+    },
+
+    // ============ BACKUP FOLDER ============
+
+    isFolderSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    },
+
+    // Must be called from a click, since it opens the folder picker
+    async chooseFolder() {
+        const handle = await window.showDirectoryPicker({ id: 'wardrobe-backups', mode: 'readwrite' });
+        await Storage.putRecord('handles', { name: this.FOLDER_HANDLE, handle });
+        return handle;
+    },
+
+    async forgetFolder() {
+        await Storage.deleteRecord('handles', this.FOLDER_HANDLE);
+    },
+
+    // The chosen folder, or null. Browsers forget the permission between visits;
+    // asking again needs a click, so scheduled backups only use a folder that is still granted
+    async getFolder({ askPermission = false } = {}) {
+        const record = await Storage.getRecord('handles', this.FOLDER_HANDLE);
+        if (!record) return null;
+
+        const options = { mode: 'readwrite' };
+        let permission = await record.handle.queryPermission(options);
+        if (permission === 'prompt' && askPermission) {
+            permission = await record.handle.requestPermission(options);
+        }
+        return permission === 'granted' ? record.handle : null;
+    },
+
+    // 'none', 'ready' or 'needs-permission', plus the folder name
+    async getFolderState() {
+        const record = await Storage.getRecord('handles', this.FOLDER_HANDLE);
+        if (!record) return { state: 'none', name: null };
+
+        const permission = await record.handle.queryPermission({ mode: 'readwrite' });
+        return {
+            state: permission === 'granted' ? 'ready' : 'needs-permission',
+            name: record.handle.name
+        };
+    },
+
+    async writeToFolder(name, blob) {
+        const folder = await this.getFolder();
+        if (!folder) return false;
+
+        const fileHandle = await folder.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+
+        // Keep only the newest backups of this profile
+        const files = await this.listFolder(folder);
+        for (const file of files.slice(this.getSettings().keep)) {
+            await folder.removeEntry(file.name);
+        }
+        return true;
+    },
+
+    // This profile's backup files in the folder, newest first
+    async listFolder(folder) {
+        const pattern = this.filePattern();
+        const files = [];
+
+        for await (const [name, handle] of folder.entries()) {
+            const stamp = handle.kind === 'file' && name.match(pattern)?.[1];
+            if (!stamp) continue;
+
+            const file = await handle.getFile();
+            files.push({ name, stamp, date: new Date(file.lastModified).toISOString(), size: file.size });
+        }
+
+        return files.sort((a, b) => b.stamp.localeCompare(a.stamp));
+    },
+
+    // ============ BROWSER SNAPSHOTS ============
+
+    async saveSnapshot(snapshot) {
+        await Storage.putRecord('backups', snapshot);
+
+        const snapshots = await this.getSnapshots();
+        for (const old of snapshots.slice(this.getSettings().keep)) {
+            await Storage.deleteRecord('backups', old.id);
+        }
+    },
+
+    // Newest first
+    async getSnapshots() {
+        const snapshots = await Storage.getAllRecords('backups');
+        return snapshots.sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    // ============ HISTORY ============
+
+    // Every backup this profile can restore from, newest first, as
+    // { source: 'browser' | 'folder', key, name, date, size }
+    async getHistory() {
+        const history = (await this.getSnapshots()).map(s => ({
+            source: 'browser',
+            key: s.id,
+            name: s.name,
+            date: s.date,
+            size: s.size
+        }));
+
+        const folder = await this.getFolder();
+        if (folder) {
+            for (const file of await this.listFolder(folder)) {
+                history.push({ source: 'folder', key: file.name, name: file.name, date: file.date, size: file.size });
+            }
+        }
+
+        return history.sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    // The backup file of a history entry as a Blob
+    async getBlob(source, key) {
+        if (source === 'folder') {
+            const folder = await this.getFolder({ askPermission: true });
+            if (!folder) throw new Error('The backup folder is not available');
+
+            const fileHandle = await folder.getFileHandle(key);
+            return fileHandle.getFile();
+        }
+
+        const snapshot = await Storage.getRecord('backups', key);
+        if (!snapshot) throw new Error('Backup not found');
+        return snapshot.blob;
+    }
+};
+
+// Export for use in other modules
+window.AutoBackup = AutoBackup;
@@ -0,0 +1,113 @@
+/**
+ * Backup Module - Reads and writes backup files
+ * ZIP backups hold a manifest.json plus one file per image;
+ * the older single-file JSON format is still read and written.
+ * Either can be wrapped in a passphrase-encrypted envelope (see Encryption)
+ */
+
+const Backup = {
+    MANIFEST_NAME: 'manifest.json',
+
+    IMAGE_EXTENSIONS: {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp',
+        'image/gif': 'gif'
+    },
+
+    // Build a backup file in the requested format ('zip' or 'json'),
+    // encrypted when a passphrase is given
+    async create(format = 'zip', { passphrase = null } = {}) {
+        const backup = await this.createPlain(format);
+        if (!passphrase) return backup;
+
+        const bytes = new Uint8Array(await backup.blob.arrayBuffer());
+        return {
+            blob: new Blob([await Encryption.encrypt(bytes, passphrase)], { type: 'application/octet-stream' }),
+            extension: `${backup.extension}.enc`
+        };
+    },
+
+    async createPlain(format) {
+        if (format === 'json') {
+            const data = await Storage.exportAllData();
+            return {
+                blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+                extension: 'json'
+            };
+        }
+
+        const data = await Storage.exportAllData({ inlineImages: false });
+        return { blob: await this.toZip(data), extension: 'zip' };
+    },
+
+    // Pack exported data into a ZIP with the image Blobs as separate files
+    async toZip(data) {
+        const files = [];
+        const manifest = { ...data, format: 'zip', images: [] };
+
+        for (const [index, img] of data.images.entries()) {
+            const blob = Images.toBlob(img.data);
+            const extension = this.IMAGE_EXTENSIONS[blob.type] || 'bin';
+            const file = `images/${String(index + 1).padStart(4, '0')}.${extension}`;
+
+            manifest.images.push({ id: img.id, file, type: blob.type });
+            files.push({ name: file, data: new Uint8Array(await blob.arrayBuffer()) });
+        }
+
+        files.unshift({ name: this.MANIFEST_NAME, data: JSON.stringify(manifest) });
+        return Zip.create(files);
+    },
+
+    // Unpack a ZIP backup into the same shape Storage.exportAllData produces
+    async fromZip(buffer) {
+        const files = await Zip.read(buffer);
+        const manifestBytes = files.get(this.MANIFEST_NAME);
+
+        if (!manifestBytes) {
+            throw new Error('Backup is missing manifest.json');
+        }
+
+        const data = JSON.parse(new TextDecoder().decode(manifestBytes));
+        const images = [];
+
+        for (const entry of data.images || []) {
+            const bytes = files.get(entry.file);
+            if (!bytes) {
+                console.warn(`Backup image missing: ${entry.file}`);
+                continue;
+            }
+            images.push({ id: entry.id, data: new Blob([bytes], { type: entry.type }) });
+        }
+
+        delete data.format;
+        data.images = images;
+        return data;
+    },
+
+    async isEncrypted(file) {
+        const head = new Uint8Array(await file.slice(0, Encryption.MAGIC.length).arrayBuffer());
+        return Encryption.isEncrypted(head);
+    },
+
+    // Read a backup file of any supported format; encrypted files need the passphrase
+    async readFile(file, passphrase = null) {
+        let bytes = new Uint8Array(await file.arrayBuffer());
+
+        if (Encryption.isEncrypted(bytes)) {
+            if (!passphrase) {
+                throw Encryption.error('PassphraseRequiredError', 'This backup is encrypted. Enter its passphrase.');
+            }
+            bytes = await Encryption.decrypt(bytes, passphrase);
+        }
+
+        if (Zip.isZip(bytes)) {
+            return this.fromZip(bytes);
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+};
+
+// Export for use in other modules
+window.Backup = Backup;
@@ -23,7 +23,7 @@ const DragDrop = {
         if (!item) return;
 
         this.draggedItem = {
-            id: parseInt(item.dataset.id),
+            id: item.dataset.id,
             category: item.dataset.category,
             element: item
         };
@@ -97,15 +97,8 @@ const DragDrop = {
 
         try {
             if (canvas) {
-                // Dropped on outfit canvas (weekly planner or builder)
-                const day = canvas.dataset.day;
-                if (day) {
-                    // Weekly planner
-                    await this.addToWeeklyOutfit(day, this.draggedItem.id);
-                } else {
-                    // Builder canvas
-                    App.addToBuilder(this.draggedItem.id);
-                }
+                // Dropped on outfit canvas (weekly planner, trip or builder)
+                await this.dropOnCanvas(canvas, this.draggedItem.id);
             } else if (sectionHeader) {
                 // Dropped on a section header
                 const targetCategory = sectionHeader.dataset.category;
@@ -126,7 +119,7 @@ const DragDrop = {
             }
         } catch (err) {
             console.error('Drop error:', err);
-            UI.showToast('Failed to move item');
+            UI.showToast(err.name === 'StaleWriteError' ? err.message : 'Failed to move item');
         }
 
         this.cleanup();
@@ -153,37 +146,61 @@ const DragDrop = {
 
     // Move item to a new category
     async moveToCategory(itemId, targetCategory) {
-        const item = await Storage.getItem(itemId);
+        const item = Store.getItem(itemId);
         if (!item) return;
 
         const oldCategory = item.category;
         if (oldCategory === targetCategory) return;
 
         item.category = targetCategory;
-        await Storage.saveItem(item);
+        await Store.saveItem(item);
 
         UI.showToast(`Moved to ${this.getCategoryName(targetCategory)}`);
-        await UI.renderWardrobe();
     },
 
     // Restore item from trash to a category
     async restoreToCategory(itemId, targetCategory) {
-        const trashItem = await Storage.restoreFromTrash(itemId);
-        if (!trashItem) return;
-
-        trashItem.category = targetCategory;
-        trashItem.deleted = false;
-        await Storage.saveItem(trashItem);
+        const item = await Store.restoreFromTrash(itemId, targetCategory);
+        if (!item) return;
 
         UI.showToast(`Restored to ${this.getCategoryName(targetCategory)}`);
-        await UI.renderWardrobe();
+    },
+
+    // Add an item to the outfit a canvas shows: a weekly day, a trip day or the builder
+    async dropOnCanvas(canvas, itemId) {
+        const { day, tripId, date } = canvas.dataset;
+
+        if (day) {
+            await this.addToWeeklyOutfit(day, itemId);
+        } else if (tripId) {
+            await this.addToTripDay(tripId, date, itemId);
+        } else if (canvas.id === 'builder-canvas') {
+            App.addToBuilder(itemId);
+        }
+    },
+
+    // Add item to a day of a trip, from a drop or the item picker.
+    // Resolves to whether the item was added
+    async addToTripDay(tripId, date, itemId) {
+        const trip = Store.getTrip(tripId);
+        const day = trip?.days.find(d => d.date === date);
+        if (!day) return false;
+
+        if (day.items.includes(itemId)) {
+            UI.showToast('Item already in this outfit');
+            return false;
+        }
+
+        day.items.push(itemId);
+        await Store.saveTrip(trip);
+
+        UI.showToast(`Added to ${Trips.formatDay(date)}'s outfit`);
+        return true;
     },
 
     // Add item to weekly outfit
     async addToWeeklyOutfit(day, itemId) {
-        const weeklyPlan = await Storage.getWeeklyPlan();
-        const dayPlan = weeklyPlan.find(d => d.day === day);
-
+        const dayPlan = Store.getWeeklyDay(day);
         if (!dayPlan) return;
 
         if (dayPlan.items.includes(itemId)) {
@@ -192,10 +209,9 @@ const DragDrop = {
         }
 
         dayPlan.items.push(itemId);
-        await Storage.saveWeeklyDay(dayPlan);
+        await Store.saveWeeklyDay(dayPlan);
 
         UI.showToast(`Added to ${day}'s outfit`);
-        await UI.renderWeeklyOutfits();
     },
 
     // Get human-readable category name
@@ -222,7 +238,7 @@ const DragDrop = {
 
         document.addEventListener('touchstart', (e) => {
             const item = e.target.closest('.wardrobe-item');
-            if (!item) return;
+            if (!item || item.getAttribute('draggable') === 'false') return;
 
             touchStartItem = item;
             touchStartX = e.touches[0].clientX;
@@ -255,7 +271,7 @@ const DragDrop = {
                 document.body.appendChild(touchClone);
 
                 this.draggedItem = {
-                    id: parseInt(touchStartItem.dataset.id),
+                    id: touchStartItem.dataset.id,
                     category: touchStartItem.dataset.category,
                     element: touchStartItem
                 };
@@ -306,12 +322,7 @@ const DragDrop = {
 
             try {
                 if (canvas) {
-                    const day = canvas.dataset.day;
-                    if (day) {
-                        await this.addToWeeklyOutfit(day, this.draggedItem.id);
-                    } else {
-                        App.addToBuilder(this.draggedItem.id);
-                    }
+                    await this.dropOnCanvas(canvas, this.draggedItem.id);
                 } else if (sectionHeader) {
                     const targetCategory = sectionHeader.dataset.category;
                     if (targetCategory !== 'favorites' && targetCategory !== 'laundry') {
@@ -337,5 +348,12 @@ const DragDrop = {
     }
 };
 
+Journal.track(DragDrop, {
+    moveToCategory: 'Move item',
+    restoreToCategory: 'Restore item',
+    addToWeeklyOutfit: 'Add to weekly plan',
+    addToTripDay: 'Add to trip'
+});
+
 // Export for use in other modules
 window.DragDrop = DragDrop;
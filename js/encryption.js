@@ -0,0 +1,126 @@
+/**
+ * Encryption Module - Passphrase-protected backup files
+ * The key comes from the passphrase through PBKDF2 and the backup is sealed
+ * with AES-GCM. Part of the derived bits is stored as a check value, so a
+ * wrong passphrase can be told apart from a file that was changed
+ */
+
+const Encryption = {
+    // File layout: magic | iterations (uint32) | salt | iv | check value | ciphertext.
+    // Everything before the ciphertext is authenticated along with it
+    MAGIC: 'WSENC1',
+    ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+    CHECK_BYTES: 32,
+
+    get HEADER_BYTES() {
+        return this.MAGIC.length + 4 + this.SALT_BYTES + this.IV_BYTES + this.CHECK_BYTES;
+    },
+
+    isEncrypted(bytes) {
+        if (bytes.length < this.MAGIC.length) return false;
+        return new TextDecoder().decode(bytes.subarray(0, this.MAGIC.length)) === this.MAGIC;
+    },
+
+    async encrypt(bytes, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const { key, check } = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+
+        const header = new Uint8Array(this.HEADER_BYTES);
+        const view = new DataView(header.buffer);
+        let offset = 0;
+
+        header.set(new TextEncoder().encode(this.MAGIC), offset);
+        offset += this.MAGIC.length;
+        view.setUint32(offset, this.ITERATIONS);
+        offset += 4;
+        header.set(salt, offset);
+        offset += this.SALT_BYTES;
+        header.set(iv, offset);
+        offset += this.IV_BYTES;
+        header.set(check, offset);
+
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: header }, key, bytes);
+
+        const result = new Uint8Array(header.length + ciphertext.byteLength);
+        result.set(header);
+        result.set(new Uint8Array(ciphertext), header.length);
+        return result;
+    },
+
+    async decrypt(bytes, passphrase) {
+        if (!this.isEncrypted(bytes) || bytes.length <= this.HEADER_BYTES) {
+            throw this.error('TamperedBackupError', 'This encrypted backup is incomplete or damaged.');
+        }
+
+        const header = bytes.subarray(0, this.HEADER_BYTES);
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        let offset = this.MAGIC.length;
+
+        const iterations = view.getUint32(offset);
+        offset += 4;
+        if (iterations === 0 || iterations > this.ITERATIONS * 10) {
+            throw this.error('TamperedBackupError', 'This encrypted backup is incomplete or damaged.');
+        }
+
+        const salt = header.subarray(offset, offset + this.SALT_BYTES);
+        offset += this.SALT_BYTES;
+        const iv = header.subarray(offset, offset + this.IV_BYTES);
+        offset += this.IV_BYTES;
+        const storedCheck = header.subarray(offset, offset + this.CHECK_BYTES);
+
+        const { key, check } = await this.deriveKey(passphrase, salt, iterations);
+        if (!this.equalBytes(check, storedCheck)) {
+            throw this.error('WrongPassphraseError', 'Wrong passphrase. Please try again.');
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv, additionalData: header },
+                key,
+                bytes.subarray(this.HEADER_BYTES)
+            );
+            return new Uint8Array(plaintext);
+        } catch {
+            // The passphrase was right, so the contents must have changed
+            throw this.error('TamperedBackupError', 'This backup has been modified or damaged and cannot be restored.');
+        }
+    },
+
+    // Derive the AES key and the check value from one PBKDF2 run
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase.normalize('NFC')),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = new Uint8Array(await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            256 + this.CHECK_BYTES * 8
+        ));
+
+        const key = await crypto.subtle.importKey('raw', bits.subarray(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return { key, check: bits.subarray(32) };
+    },
+
+    equalBytes(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+        return diff === 0;
+    },
+
+    error(name, message) {
+        const err = new Error(message);
+        err.name = name;
+        return err;
+    }
+};
+
+// Export for use in other modules
+window.Encryption = Encryption;
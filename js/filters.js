@@ -0,0 +1,138 @@
+/**
+ * Filters Module - Search and filter bar for the wardrobe tab
+ * Active filters are mirrored into the URL so a filtered view can be bookmarked
+ */
+
+const Filters = {
+    // Current filter values; empty strings mean "any"
+    state: {
+        q: '',
+        color: '',
+        season: '',
+        favorite: '',
+        laundry: '',
+        from: '',
+        to: ''
+    },
+
+    // Filter key -> form input ID
+    INPUTS: {
+        q: 'filter-text',
+        color: 'filter-color',
+        season: 'filter-season',
+        favorite: 'filter-favorite',
+        laundry: 'filter-laundry',
+        from: 'filter-from',
+        to: 'filter-to'
+    },
+
+    renderTimer: null,
+
+    init() {
+        this.readFromUrl();
+
+        for (const [key, inputId] of Object.entries(this.INPUTS)) {
+            const input = document.getElementById(inputId);
+            if (!input) continue;
+
+            input.value = this.state[key];
+
+            // Typing re-renders after a short pause, everything else immediately
+            const event = input.type === 'text' || input.type === 'search' ? 'input' : 'change';
+            input.addEventListener(event, () => {
+                this.state[key] = input.value.trim();
+                this.onChange(event === 'input' ? 150 : 0);
+            });
+        }
+    },
+
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        for (const key of Object.keys(this.state)) {
+            this.state[key] = params.get(key) || '';
+        }
+    },
+
+    // Update the query string in place, keeping unrelated parameters such as ?tab=
+    writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        for (const [key, value] of Object.entries(this.state)) {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        }
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        history.replaceState(null, '', url);
+    },
+
+    onChange(delay) {
+        this.writeToUrl();
+
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => UI.renderWardrobe(), delay);
+    },
+
+    clear() {
+        for (const [key, inputId] of Object.entries(this.INPUTS)) {
+            this.state[key] = '';
+            const input = document.getElementById(inputId);
+            if (input) input.value = '';
+        }
+        this.onChange(0);
+    },
+
+    isActive() {
+        return Object.values(this.state).some(Boolean);
+    },
+
+    apply(items) {
+        return this.isActive() ? items.filter(item => this.matches(item)) : items;
+    },
+
+    matches(item) {
+        const { q, color, season, favorite, laundry, from, to } = this.state;
+
+        if (q) {
+            const haystack = [item.name, item.brand, item.notes, ...(item.tags || [])]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            if (!q.toLowerCase().split(/\s+/).every(word => haystack.includes(word))) return false;
+        }
+
+        if (color) {
+            const wanted = color.toLowerCase();
+            if (!(item.colors || []).some(c => c.toLowerCase().includes(wanted))) return false;
+        }
+
+        // All-season pieces match every season
+        if (season && item.season !== season && item.season !== 'all') return false;
+
+        if (favorite && Boolean(item.favorite) !== (favorite === 'yes')) return false;
+        if (laundry && Boolean(item.laundry) !== (laundry === 'yes')) return false;
+
+        const added = (item.dateAdded || '').slice(0, 10);
+        if (from && (!added || added < from)) return false;
+        if (to && (!added || added > to)) return false;
+
+        return true;
+    },
+
+    // Offer every color already used in the wardrobe as a suggestion
+    updateColorOptions(items) {
+        const list = document.getElementById('filter-color-options');
+        if (!list) return;
+
+        const colors = new Set(items.flatMap(i => (i.colors || []).map(c => c.toLowerCase())));
+        list.innerHTML = [...colors].sort()
+            .map(c => `<option value="${UI.escapeHtml(c)}"></option>`)
+            .join('');
+    }
+};
+
+// Export for use in other modules
+window.Filters = Filters;
@@ -0,0 +1,189 @@
+/**
+ * Generator Module - Weather-driven outfit suggestions
+ * Builds complete outfits from wardrobe items that aren't in the laundry:
+ * a top and a bottom or a dress, plus outerwear when it's cold or wet.
+ * Items are scored by their warmth, water resistance and season
+ */
+
+const Generator = {
+    // How many ranked options to propose
+    OPTIONS: 4,
+
+    // How many of the best tops, bottoms and dresses are combined
+    CANDIDATES: 4,
+
+    // Outerwear is added below this apparent temperature, or when it's wet
+    OUTERWEAR_BELOW_F: 60,
+
+    // Warmth an item can have, from the item detail modal
+    WARMTH_LEVELS: { light: 1, medium: 2, warm: 3 },
+
+    // Pieces in Dresses & Shoes are dresses when their name or tags say so
+    DRESS_PATTERN: /\bdress(es)?\b/i,
+
+    // Score added to pieces the caller prefers, such as ones already packed for a trip.
+    // Less than one warmth level, so a preferred piece never wins in the wrong weather
+    PREFER_BONUS: 1.5,
+
+    // ============ CONDITIONS ============
+
+    // What the generator needs to know about the weather, from current conditions
+    getConditions(weatherData) {
+        const current = weatherData?.current;
+        if (!current) return null;
+
+        const today = Weather.getDailyForecast(weatherData)[0];
+        const code = current.weather_code;
+        const rainCode = (code >= 51 && code < 70) || (code >= 80 && code < 100);
+        const snowCode = (code >= 71 && code < 78) || code === 85 || code === 86;
+
+        return {
+            temp: current.apparent_temperature,
+            tempF: Weather.toFahrenheit(current.apparent_temperature),
+            wet: current.precipitation > 0 || rainCode || snowCode ||
+                (today?.precipChance ?? 0) >= Weather.RAINY_DAY_CHANCE
+        };
+    },
+
+    // Conditions for one day of the daily forecast, such as a day of a trip.
+    // The midpoint of the high and low stands in for the apparent temperature
+    getDayConditions(forecast) {
+        if (!forecast) return null;
+
+        const temp = (forecast.max + forecast.min) / 2;
+        return {
+            temp,
+            tempF: Weather.toFahrenheit(temp),
+            wet: forecast.precipChance >= Weather.RAINY_DAY_CHANCE,
+            date: new Date(`${forecast.date}T12:00:00`)
+        };
+    },
+
+    // Warmth level that suits a temperature
+    targetWarmth(tempF) {
+        if (tempF < 45) return this.WARMTH_LEVELS.warm;
+        if (tempF < 65) return this.WARMTH_LEVELS.medium;
+        return this.WARMTH_LEVELS.light;
+    },
+
+    // Season of a date, today by default (northern hemisphere)
+    currentSeason(date = new Date()) {
+        const month = date.getMonth();
+        if (month >= 2 && month <= 4) return 'spring';
+        if (month >= 5 && month <= 7) return 'summer';
+        if (month >= 8 && month <= 10) return 'fall';
+        return 'winter';
+    },
+
+    // ============ SCORING ============
+
+    // Higher is better. Items without a warmth or season aren't penalized
+    scoreItem(item, conditions) {
+        let score = 0;
+
+        const warmth = this.WARMTH_LEVELS[item.warmth];
+        if (warmth) {
+            score += 2 - 2 * Math.abs(warmth - this.targetWarmth(conditions.tempF));
+        }
+
+        const season = this.currentSeason(conditions.date);
+        if (item.season === season || item.season === 'all') score += 1;
+        else if (item.season) score -= 1;
+
+        if (conditions.wet && item.waterResistant) score += item.category === 'outerwear' ? 3 : 1;
+        if (item.favorite) score += 0.5;
+
+        return score;
+    },
+
+    // Why an outfit was suggested, for the option card
+    describe(items, conditions) {
+        const reasons = [];
+        const outerwear = items.find(i => i.category === 'outerwear');
+
+        if (outerwear) {
+            reasons.push(conditions.tempF < this.OUTERWEAR_BELOW_F
+                ? `Layer for ${Weather.formatTemp(conditions.temp)}`
+                : 'Layer for the wet weather');
+        }
+        if (conditions.wet && items.some(i => i.waterResistant)) {
+            reasons.push('Water-resistant');
+        }
+        if (items.some(i => this.WARMTH_LEVELS[i.warmth] === this.targetWarmth(conditions.tempF))) {
+            reasons.push('Right warmth for today');
+        }
+        return reasons;
+    },
+
+    // ============ GENERATING ============
+
+    // Up to OPTIONS outfits as { items: ids[], score, reasons }, best first.
+    // Empty when the wardrobe has no top and bottom and no dress to work with.
+    // Items in prefer get PREFER_BONUS
+    generate(items, conditions, { prefer = new Set() } = {}) {
+        const available = items.filter(i => !i.laundry && !i.deleted);
+        const ranked = (list) => list
+            .map(item => ({
+                item,
+                score: this.scoreItem(item, conditions) + (prefer.has(item.id) ? this.PREFER_BONUS : 0)
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        const tops = ranked(available.filter(i => i.category === 'tops')).slice(0, this.CANDIDATES);
+        const bottoms = ranked(available.filter(i => i.category === 'bottoms')).slice(0, this.CANDIDATES);
+        const dresses = ranked(available.filter(i => i.category === 'other' && this.isDress(i))).slice(0, this.CANDIDATES);
+        const outerwear = ranked(available.filter(i => i.category === 'outerwear'));
+
+        const bases = [];
+        for (const top of tops) {
+            for (const bottom of bottoms) bases.push([top, bottom]);
+        }
+        for (const dress of dresses) bases.push([dress]);
+
+        const needsOuterwear = conditions.tempF < this.OUTERWEAR_BELOW_F || conditions.wet;
+        const used = new Map();
+        const options = [];
+
+        // Pick greedily, making items already used by a better option less attractive
+        while (options.length < this.OPTIONS && bases.length > 0) {
+            let best = null;
+
+            for (const [index, base] of bases.entries()) {
+                const layer = needsOuterwear ? this.pickLayer(outerwear, used) : null;
+                const pieces = layer ? [...base, layer] : base;
+                const score = pieces.reduce((sum, p) => sum + p.score - (used.get(p.item.id) || 0), 0);
+
+                if (!best || score > best.score) best = { index, pieces, score };
+            }
+
+            bases.splice(best.index, 1);
+            best.pieces.forEach(p => used.set(p.item.id, (used.get(p.item.id) || 0) + 1));
+
+            const outfitItems = best.pieces.map(p => p.item);
+            options.push({
+                items: outfitItems.map(i => i.id),
+                score: best.score,
+                reasons: this.describe(outfitItems, conditions)
+            });
+        }
+
+        return options;
+    },
+
+    // The best outerwear, preferring pieces fewer options already use
+    pickLayer(outerwear, used) {
+        let best = null;
+        for (const candidate of outerwear) {
+            const score = candidate.score - (used.get(candidate.item.id) || 0);
+            if (!best || score > best.score - (used.get(best.item.id) || 0)) best = candidate;
+        }
+        return best;
+    },
+
+    isDress(item) {
+        return this.DRESS_PATTERN.test(item.name) || item.tags.some(tag => this.DRESS_PATTERN.test(tag));
+    }
+};
+
+// Export for use in other modules
+window.Generator = Generator;
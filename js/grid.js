@@ -0,0 +1,146 @@
+/**
+ * Grid Module - Windowed, diff-based rendering for item grids
+ * Tiles are mounted in chunks as the user scrolls, thumbnails are read in
+ * one batch per chunk, and unchanged tiles keep their existing DOM nodes
+ */
+
+const Grid = {
+    CHUNK_SIZE: 48,
+
+    // Per-grid state: { items, limit, nodes: Map(id -> { el, html }), options, observer, sentinel }
+    views: new Map(),
+
+    // Render items into a grid, reusing the DOM nodes of tiles that didn't change.
+    // options.renderTile(item, imgSrc) returns the tile HTML, or '' to skip the item;
+    // options.emptyHtml is shown when empty; options.imageOf(item) picks the thumbnail
+    // (item.imageId by default)
+    async render(gridId, items, options) {
+        const grid = document.getElementById(gridId);
+        if (!grid) return;
+
+        let view = this.views.get(gridId);
+        if (!view || view.grid !== grid) {
+            this.destroy(gridId);
+            view = { grid, items: [], limit: this.CHUNK_SIZE, nodes: new Map(), observer: null, sentinel: null };
+            this.views.set(gridId, view);
+        }
+
+        view.items = items;
+        view.options = options;
+
+        if (items.length === 0) {
+            view.version = (view.version || 0) + 1;
+            this.disconnect(view);
+            view.nodes.clear();
+            view.limit = this.CHUNK_SIZE;
+            grid.innerHTML = options.emptyHtml;
+            return;
+        }
+
+        await this.update(view);
+    },
+
+    // Reconcile the mounted window of tiles with the current items
+    async update(view) {
+        const { grid, options } = view;
+        const windowItems = view.items.slice(0, view.limit);
+        const imageOf = options.imageOf || (item => item.imageId);
+        const version = view.version = (view.version || 0) + 1;
+        const thumbUrls = await Images.thumbUrls(windowItems.map(imageOf));
+
+        // A newer render started while thumbnails were loading
+        if (version !== view.version) return;
+
+        const desired = [];
+        const nextNodes = new Map();
+
+        for (const item of windowItems) {
+            const imgSrc = thumbUrls.get(imageOf(item)) || null;
+            const html = options.renderTile(item, imgSrc).trim();
+            if (!html) continue;
+
+            const existing = view.nodes.get(item.id);
+            const el = existing && existing.html === html ? existing.el : this.createElement(html);
+
+            nextNodes.set(item.id, { el, html });
+            desired.push(el);
+        }
+
+        // Drop the empty state and any tiles that are no longer wanted
+        const keep = new Set(desired);
+        for (const child of [...grid.children]) {
+            if (!keep.has(child) && child !== view.sentinel) child.remove();
+        }
+
+        // Insert or move nodes only where the order differs
+        desired.forEach((el, index) => {
+            if (grid.children[index] !== el) {
+                grid.insertBefore(el, grid.children[index] || null);
+            }
+        });
+
+        view.nodes = nextNodes;
+        this.updateSentinel(view);
+    },
+
+    // Keep a sentinel after the last tile that mounts the next chunk when scrolled into view
+    updateSentinel(view) {
+        const hasMore = view.items.length > view.limit;
+
+        if (!hasMore) {
+            this.disconnect(view);
+            return;
+        }
+
+        if (!view.sentinel) {
+            view.sentinel = document.createElement('div');
+            view.sentinel.className = 'grid-sentinel';
+        }
+        view.grid.appendChild(view.sentinel);
+
+        if (!view.observer && typeof IntersectionObserver !== 'undefined') {
+            view.observer = new IntersectionObserver((entries) => {
+                if (entries.some(e => e.isIntersecting)) this.loadMore(view);
+            }, { rootMargin: '600px' });
+            view.observer.observe(view.sentinel);
+        } else if (!view.observer) {
+            // No IntersectionObserver: mount everything
+            view.limit = view.items.length;
+            this.update(view);
+        }
+    },
+
+    async loadMore(view) {
+        if (view.loading || view.items.length <= view.limit) return;
+
+        view.loading = true;
+        view.limit += this.CHUNK_SIZE;
+        try {
+            await this.update(view);
+        } finally {
+            view.loading = false;
+        }
+    },
+
+    disconnect(view) {
+        view.observer?.disconnect();
+        view.observer = null;
+        view.sentinel?.remove();
+        view.sentinel = null;
+    },
+
+    destroy(gridId) {
+        const view = this.views.get(gridId);
+        if (view) this.disconnect(view);
+        this.views.delete(gridId);
+    },
+
+    createElement(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content.firstElementChild;
+    }
+};
+
+// Export for use in other modules
+window.Grid = Grid;
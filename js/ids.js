@@ -0,0 +1,103 @@
+/**
+ * Ids Module - Record ID generation
+ * Every record gets a time-ordered UUID (version 7), so keys never collide,
+ * survive a round trip through the DOM as strings, and still sort by creation time
+ */
+
+const Ids = {
+    UUID_PATTERN: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+
+    // Timestamp of the last generated ID; IDs made in the same millisecond still sort in order
+    lastTime: 0,
+
+    generate() {
+        const time = Math.max(Date.now(), this.lastTime + 1);
+        this.lastTime = time;
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+
+        // 48-bit big-endian millisecond timestamp
+        let t = time;
+        for (let i = 5; i >= 0; i--) {
+            bytes[i] = t % 256;
+            t = Math.floor(t / 256);
+        }
+
+        bytes[6] = (bytes[6] & 0x0f) | 0x70; // version 7
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+
+    isId(value) {
+        return typeof value === 'string' && this.UUID_PATTERN.test(value);
+    },
+
+    // Give every record from an older version a UUID and update every reference to it.
+    // Works on exported data or on the raw contents of each object store; records that
+    // already have a UUID are left alone. Old IDs are visited in key order so the new
+    // time-ordered IDs keep the same order.
+    rewrite(data) {
+        const maps = {
+            items: new Map(),
+            images: new Map(),
+            sections: new Map(),
+            outfits: new Map(),
+            shopping: new Map(),
+            wear: new Map()
+        };
+
+        const assign = (map, id) => {
+            if (id == null || this.isId(id)) return id;
+            if (!map.has(id)) map.set(id, this.generate());
+            return map.get(id);
+        };
+
+        const inKeyOrder = (records) => [...(records || [])].sort((a, b) => this.compareKeys(a.id, b.id));
+        const itemRecords = [...(data.items || []), ...(data.trash || [])];
+
+        inKeyOrder(data.customSections).forEach(s => { s.id = assign(maps.sections, s.id); });
+        inKeyOrder(itemRecords).forEach(i => { i.id = assign(maps.items, i.id); });
+        inKeyOrder(data.images).forEach(img => { img.id = assign(maps.images, img.id); });
+        inKeyOrder(data.savedOutfits).forEach(o => { o.id = assign(maps.outfits, o.id); });
+        inKeyOrder(data.shoppingList).forEach(s => { s.id = assign(maps.shopping, s.id); });
+        inKeyOrder(data.wearLog).forEach(e => { e.id = assign(maps.wear, e.id); });
+
+        const remapItems = (ids) => (ids || []).map(id => maps.items.get(id) ?? id);
+        const remapImage = (id) => maps.images.get(id) ?? id;
+        const remapCategory = (category) => {
+            if (!category?.startsWith('custom-')) return category;
+            const oldId = Number(category.slice('custom-'.length));
+            return maps.sections.has(oldId) ? `custom-${maps.sections.get(oldId)}` : category;
+        };
+
+        for (const item of itemRecords) {
+            item.imageId = remapImage(item.imageId);
+            item.category = remapCategory(item.category);
+            if (item.originalCategory) item.originalCategory = remapCategory(item.originalCategory);
+        }
+
+        (data.shoppingList || []).forEach(s => { s.imageId = remapImage(s.imageId); });
+        (data.savedOutfits || []).forEach(o => { o.items = remapItems(o.items); });
+        (data.weeklyPlan || []).forEach(d => { d.items = remapItems(d.items); });
+
+        for (const entry of data.wearLog || []) {
+            entry.itemIds = remapItems(entry.itemIds);
+            if (entry.source === 'outfit') entry.sourceId = maps.outfits.get(entry.sourceId) ?? entry.sourceId;
+        }
+
+        return Object.values(maps).reduce((total, map) => total + map.size, 0);
+    },
+
+    // Numbers before strings, then natural order
+    compareKeys(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'number') return -1;
+        if (typeof b === 'number') return 1;
+        return String(a).localeCompare(String(b));
+    }
+};
+
+// Export for use in other modules
+window.Ids = Ids;
@@ -0,0 +1,510 @@
+/**
+ * Images Module - Image Blobs, thumbnails and object URLs
+ * Photos are stored as Blobs with a small thumbnail generated at upload time.
+ * Grids render thumbnails; full images are only loaded for detail views
+ */
+
+const Images = {
+    THUMB_SIZE: 320,
+    THUMB_TYPE: 'image/webp',
+    THUMB_QUALITY: 0.8,
+
+    // Upload pipeline defaults, overridable in Settings
+    UPLOAD_DEFAULTS: {
+        maxDimension: 1600,  // Longest edge in pixels, 0 keeps the original size
+        format: 'webp',      // 'webp' or 'jpeg' (WebP falls back to JPEG where unsupported)
+        quality: 0.85
+    },
+
+    // Object URLs handed out so far, keyed by `${kind}:${imageId}`
+    urlCache: new Map(),
+
+    // ============ CONVERSIONS ============
+
+    // Decode a data URL synchronously (safe inside IndexedDB upgrade transactions)
+    dataUrlToBlob(dataUrl) {
+        const [header, payload] = dataUrl.split(',');
+        const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(payload) : decodeURIComponent(payload);
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    },
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    // Accept a Blob, File or data URL and return a plain Blob
+    toBlob(source) {
+        if (typeof source === 'string') return this.dataUrlToBlob(source);
+        return source instanceof File ? new Blob([source], { type: source.type }) : source;
+    },
+
+    // ============ UPLOAD PIPELINE ============
+
+    getUploadSettings() {
+        return {
+            maxDimension: Number(Storage.getSetting('uploadMaxDimension', this.UPLOAD_DEFAULTS.maxDimension)),
+            format: Storage.getSetting('uploadFormat', this.UPLOAD_DEFAULTS.format),
+            quality: Number(Storage.getSetting('uploadQuality', this.UPLOAD_DEFAULTS.quality))
+        };
+    },
+
+    // Orient, downsize and re-encode an uploaded photo, then build its thumbnail.
+    // Resolves to { blob, thumb, originalSize, size }
+    async processUpload(file, settings = this.getUploadSettings()) {
+        const original = this.toBlob(file);
+        let blob = original;
+
+        try {
+            blob = await this.optimize(original, settings);
+        } catch (err) {
+            console.warn('Image optimization failed, keeping original:', err);
+        }
+
+        const { thumb } = await this.prepare(blob);
+        return { blob, thumb, originalSize: original.size, size: blob.size };
+    },
+
+    async optimize(blob, { maxDimension, format, quality }) {
+        const orientation = this.readOrientation(await blob.arrayBuffer());
+        const { source, applied } = await this.decodeOriented(blob);
+
+        // Rotations by 90° swap the stored width and height
+        const manual = applied ? 1 : orientation;
+        const swap = manual >= 5;
+        const width = swap ? source.height : source.width;
+        const height = swap ? source.width : source.height;
+
+        const longest = Math.max(width, height);
+        const scale = maxDimension > 0 && longest > maxDimension ? maxDimension / longest : 1;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const ctx = canvas.getContext('2d');
+        const type = format === 'jpeg' ? 'image/jpeg' : 'image/webp';
+
+        // JPEG has no alpha channel; paint transparent areas white instead of black
+        if (type === 'image/jpeg') {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        this.applyOrientation(ctx, manual, canvas.width, canvas.height);
+        const drawWidth = swap ? canvas.height : canvas.width;
+        const drawHeight = swap ? canvas.width : canvas.height;
+        ctx.drawImage(source, 0, 0, drawWidth, drawHeight);
+        source.close?.();
+
+        const encoded = await this.canvasToBlob(canvas, type, quality);
+
+        // Re-encoding an already small, upright photo can make it bigger
+        if (scale === 1 && orientation <= 1 && encoded.size >= blob.size) {
+            return blob;
+        }
+        return encoded;
+    },
+
+    // Decode a photo, letting the browser apply EXIF orientation where it can.
+    // `applied` tells the caller whether the pixels are already upright
+    async decodeOriented(blob) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const source = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+                return { source, applied: true };
+            } catch (err) {
+                // Some browsers reject the options bag; decode through an <img> below
+            }
+        }
+
+        const source = await this.loadBitmap(blob);
+        const applied = typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+        return { source, applied };
+    },
+
+    // Read the EXIF orientation tag (1-8) from a JPEG, or 1 when there is none
+    readOrientation(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // APP1 segment starting with "Exif\0\0"
+            if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                const entries = view.getUint16(ifd, little);
+
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 12 > view.byteLength) break;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        return view.getUint16(entry + 8, little);
+                    }
+                }
+                return 1;
+            }
+
+            // Stop at start of scan; image data follows
+            if (marker === 0xffda || (marker & 0xff00) !== 0xff00) break;
+            offset += 2 + length;
+        }
+
+        return 1;
+    },
+
+    // Transform a canvas context so drawing the raw pixels comes out upright
+    applyOrientation(ctx, orientation, width, height) {
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+            default: break;
+        }
+    },
+
+    // ============ METADATA ============
+
+    // Make a photo safe to store: bake in any EXIF rotation, then drop EXIF, XMP,
+    // GPS and other embedded metadata. Unknown formats, and files that can't be
+    // parsed at all, pass through unchanged
+    async sanitize(blob) {
+        let buffer;
+        try {
+            buffer = await blob.arrayBuffer();
+
+            // Dropping EXIF would also drop the rotation, so re-encode upright first
+            if (this.readOrientation(buffer) > 1) {
+                return await this.optimize(blob, { maxDimension: 0, format: 'jpeg', quality: 0.92 });
+            }
+        } catch (err) {
+            // A sideways photo is better than one that still carries its location
+            console.warn('Could not re-encode image, stripping metadata only:', err);
+        }
+
+        try {
+            return this.stripMetadata(buffer ?? await blob.arrayBuffer(), blob.type);
+        } catch (err) {
+            console.warn('Could not strip image metadata:', err);
+            return blob;
+        }
+    },
+
+    // Remove metadata segments without re-encoding the image data
+    stripMetadata(buffer, type) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            return new Blob(this.stripJpeg(bytes), { type: 'image/jpeg' });
+        }
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+            return new Blob(this.stripPng(bytes), { type: 'image/png' });
+        }
+        if (this.fourCC(bytes, 0) === 'RIFF' && this.fourCC(bytes, 8) === 'WEBP') {
+            return new Blob([this.stripWebp(bytes)], { type: 'image/webp' });
+        }
+
+        return new Blob([bytes], { type });
+    },
+
+    // Drop APP1 (EXIF/XMP, including GPS), APP13 (IPTC) and comment segments.
+    // JFIF, Adobe and ICC colour profile segments are kept
+    stripJpeg(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xff) break;
+
+            const marker = bytes[offset + 1];
+
+            // Start of scan: the rest of the file is image data
+            if (marker === 0xda) break;
+
+            const length = view.getUint16(offset + 2);
+            const drop = marker === 0xe1 || marker === 0xed || marker === 0xfe;
+
+            if (!drop) {
+                parts.push(bytes.subarray(offset, offset + 2 + length));
+            }
+            offset += 2 + length;
+        }
+
+        parts.push(bytes.subarray(offset));
+        return parts;
+    },
+
+    // Drop eXIf, text and timestamp chunks
+    stripPng(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const dropped = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+        const parts = [bytes.subarray(0, 8)];
+        let offset = 8;
+
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const end = offset + 12 + length;
+
+            if (!dropped.includes(this.fourCC(bytes, offset + 4))) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        return parts;
+    },
+
+    // Drop EXIF and XMP chunks and clear their flags in the VP8X header
+    stripWebp(bytes) {
+        const kept = [];
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const id = this.fourCC(bytes, offset);
+            const size = new DataView(bytes.buffer, bytes.byteOffset + offset + 4, 4).getUint32(0, true);
+            const end = Math.min(bytes.length, offset + 8 + size + (size % 2));
+
+            if (id !== 'EXIF' && id !== 'XMP ') {
+                const chunk = bytes.slice(offset, end);
+                if (id === 'VP8X') {
+                    chunk[8] &= ~(0x08 | 0x04);
+                }
+                kept.push(chunk);
+            }
+            offset = end;
+        }
+
+        const bodySize = kept.reduce((sum, chunk) => sum + chunk.length, 0);
+        const output = new Uint8Array(12 + bodySize);
+        output.set(bytes.subarray(0, 12));
+        new DataView(output.buffer).setUint32(4, 4 + bodySize, true);
+
+        let position = 12;
+        for (const chunk of kept) {
+            output.set(chunk, position);
+            position += chunk.length;
+        }
+        return output;
+    },
+
+    fourCC(bytes, offset) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    },
+
+    // One-time pass removing metadata from photos saved before stripping existed
+    async scrubStoredImages() {
+        if (Storage.getSetting('imageMetadataScrubbed')) return 0;
+
+        const ids = await Storage.getAllKeys('images');
+        let scrubbed = 0;
+
+        for (const id of ids) {
+            const blob = await Storage.getImage(id);
+            if (!blob) continue;
+
+            const clean = await this.sanitize(blob);
+            if (clean !== blob && clean.size !== blob.size) {
+                await Storage.updateImage(id, { blob: clean, type: clean.type });
+                this.forget(id);
+                scrubbed++;
+            }
+        }
+
+        Storage.setSetting('imageMetadataScrubbed', true);
+        if (scrubbed > 0) {
+            console.log(`Removed metadata from ${scrubbed} stored photo(s)`);
+        }
+        return scrubbed;
+    },
+
+    // ============ THUMBNAILS ============
+
+    async loadBitmap(blob) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(blob);
+        }
+
+        // Older Safari: decode through an <img> element
+        const url = URL.createObjectURL(blob);
+        try {
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+            return img;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    // Encode a canvas, falling back to JPEG where the requested type isn't supported
+    canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error('Image encoding failed'));
+                } else if (blob.type !== type && type !== 'image/jpeg') {
+                    resolve(this.canvasToBlob(canvas, 'image/jpeg', quality));
+                } else {
+                    resolve(blob);
+                }
+            }, type, quality);
+        });
+    },
+
+    async createThumbnail(blob) {
+        const bitmap = await this.loadBitmap(blob);
+        const scale = Math.min(1, this.THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close?.();
+
+        return this.canvasToBlob(canvas, this.THUMB_TYPE, this.THUMB_QUALITY);
+    },
+
+    // A plain "No photo" image standing in for one that was lost, so the item
+    // can still be shown until a new photo is uploaded
+    async placeholder() {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = this.THUMB_SIZE;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '24px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No photo', canvas.width / 2, canvas.height / 2);
+
+        const blob = await this.canvasToBlob(canvas, 'image/png');
+        return { blob, thumb: blob };
+    },
+
+    // Turn an uploaded photo into the { blob, thumb } pair Storage.saveImage expects
+    async prepare(source) {
+        const blob = this.toBlob(source);
+        let thumb = null;
+
+        try {
+            thumb = await this.createThumbnail(blob);
+        } catch (err) {
+            console.warn('Thumbnail generation failed:', err);
+        }
+
+        return { blob, thumb };
+    },
+
+    // One-time pass generating thumbnails for images stored before thumbnails existed
+    async backfillThumbnails() {
+        const ids = await Storage.getImageIdsWithoutThumbnail();
+        let created = 0;
+
+        for (const id of ids) {
+            const blob = await Storage.getImage(id);
+            if (!blob) continue;
+
+            try {
+                await Storage.saveThumbnail(id, await this.createThumbnail(blob));
+                this.forget(id);
+                created++;
+            } catch (err) {
+                console.warn(`Could not create thumbnail for image ${id}:`, err);
+            }
+        }
+
+        if (created > 0) {
+            console.log(`Generated ${created} thumbnail(s)`);
+        }
+        return created;
+    },
+
+    // ============ OBJECT URLS ============
+
+    // Object URLs for many thumbnails, read in a single transaction
+    async thumbUrls(imageIds) {
+        const urls = new Map();
+        const missing = [];
+
+        for (const id of imageIds) {
+            const cached = this.urlCache.get(`thumb:${id}`);
+            if (cached) {
+                urls.set(id, cached);
+            } else if (id != null) {
+                missing.push(id);
+            }
+        }
+
+        if (missing.length > 0) {
+            const blobs = await Storage.getThumbnails(missing);
+            for (const [id, blob] of blobs) {
+                const url = URL.createObjectURL(blob);
+                this.urlCache.set(`thumb:${id}`, url);
+                urls.set(id, url);
+            }
+        }
+
+        return urls;
+    },
+
+    async thumbUrl(imageId) {
+        const urls = await this.thumbUrls([imageId]);
+        return urls.get(imageId) || null;
+    },
+
+    // Object URL for the full-size image (detail and zoom views only)
+    async fullUrl(imageId) {
+        const key = `full:${imageId}`;
+        if (this.urlCache.has(key)) return this.urlCache.get(key);
+
+        const blob = await Storage.getImage(imageId);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        this.urlCache.set(key, url);
+        return url;
+    },
+
+    // Release the URLs for an image that changed or was deleted
+    forget(imageId) {
+        for (const kind of ['thumb', 'full']) {
+            const key = `${kind}:${imageId}`;
+            if (this.urlCache.has(key)) {
+                URL.revokeObjectURL(this.urlCache.get(key));
+                this.urlCache.delete(key);
+            }
+        }
+    },
+
+    clearCache() {
+        for (const url of this.urlCache.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.urlCache.clear();
+    }
+};
+
+// Export for use in other modules
+window.Images = Images;
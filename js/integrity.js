@@ -0,0 +1,177 @@
+/**
+ * Integrity Module - Finds and repairs broken references between stores
+ * Checks planner days, saved outfits, trips and the wear log for items that no
+ * longer exist, photos nothing uses, trash entries that can't be restored and
+ * items whose photo is missing
+ */
+
+const Integrity = {
+    // Problem type -> label shown in the report
+    LABELS: {
+        itemsWithoutImage: 'Wardrobe items whose photo is missing (given a placeholder photo)',
+        trashWithoutImage: 'Trash entries whose photo is missing (given a placeholder photo)',
+        trashDuplicates: 'Trash entries for records that still exist',
+        missingSections: 'Items filed under a deleted section',
+        weeklyPlan: 'Weekly plan days listing missing items',
+        savedOutfits: 'Saved outfits listing missing items',
+        wearLog: 'Wear log entries listing missing items',
+        trips: 'Trips listing missing items',
+        shoppingImages: 'Shopping list entries (or deleted ones) whose photo is missing',
+        orphanedImages: 'Photos not used by anything'
+    },
+
+    // Read everything in one snapshot and work out what a repair would change
+    async check() {
+        const data = await Storage.readStores(Storage.ALL_STORES);
+        const imageIds = new Set(data.images.map(img => img.id));
+        const sectionCategories = new Set(data.customSections.map(s => `custom-${s.id}`));
+
+        const problems = {};
+        const changes = {};
+        for (const type of Object.keys(this.LABELS)) problems[type] = [];
+
+        const put = (storeName, record) => {
+            changes[storeName] ??= { put: [], delete: [] };
+            changes[storeName].put.push(record);
+        };
+        const remove = (storeName, key) => {
+            changes[storeName] ??= { put: [], delete: [] };
+            changes[storeName].delete.push(key);
+        };
+
+        // Items and trash entries without a photo keep their details and get a
+        // placeholder photo, which can be replaced from Item Details
+        const placeholders = new Set();
+        const withPlaceholder = (storeName, record, type) => {
+            if (imageIds.has(record.imageId)) return record;
+            problems[type].push(record.id);
+
+            const fixed = { ...record, imageId: record.imageId || Ids.generate() };
+            if (fixed.imageId !== record.imageId) put(storeName, fixed);
+            placeholders.add(fixed.imageId);
+            return fixed;
+        };
+
+        const items = data.items.map(item => withPlaceholder('items', item, 'itemsWithoutImage'));
+        const itemIds = new Set(items.map(i => i.id));
+
+        // Trash entries are checked against the store they would be restored to;
+        const liveIds = {
+            item: itemIds,
+            outfit: new Set(data.savedOutfits.map(o => o.id)),
+            shopping: new Set(data.shoppingList.map(s => s.id))
+        };
+
+        const trash = data.trash
+            .filter(item => {
+                if (!liveIds[Store.trashKind(item)]?.has(item.id)) return true;
+                problems.trashDuplicates.push(item.id);
+                remove('trash', item.id);
+                return false;
+            })
+            .map(item => Store.trashKind(item) === 'item' ? withPlaceholder('trash', item, 'trashWithoutImage') : item);
+        const trashedItems = trash.filter(item => Store.trashKind(item) === 'item');
+
+        // Anything in the wardrobe or the trash can still be referenced
+        const knownIds = new Set([...itemIds, ...trashedItems.map(i => i.id)]);
+        const isCustomMissing = (category) => category?.startsWith('custom-') && !sectionCategories.has(category);
+
+        for (const item of items) {
+            if (!isCustomMissing(item.category)) continue;
+            problems.missingSections.push(item.id);
+            put('items', { ...item, category: 'other' });
+        }
+        for (const item of trashedItems) {
+            if (!isCustomMissing(item.originalCategory)) continue;
+            problems.missingSections.push(item.id);
+            put('trash', { ...item, originalCategory: 'other' });
+        }
+
+        for (const day of data.weeklyPlan) {
+            const kept = (day.items || []).filter(id => knownIds.has(id));
+            if (kept.length === (day.items || []).length) continue;
+            problems.weeklyPlan.push(day.day);
+            put('weeklyPlan', { ...day, items: kept });
+        }
+
+        for (const outfit of data.savedOutfits) {
+            const kept = (outfit.items || []).filter(id => knownIds.has(id));
+            if (kept.length === (outfit.items || []).length) continue;
+            problems.savedOutfits.push(outfit.id);
+            put('savedOutfits', { ...outfit, items: kept });
+        }
+
+        for (const trip of data.trips) {
+            const days = trip.days.map(day => ({ ...day, items: (day.items || []).filter(id => knownIds.has(id)) }));
+            const packed = (trip.packed || []).filter(id => knownIds.has(id));
+            const dropped = days.some((day, index) => day.items.length !== (trip.days[index].items || []).length) ||
+                packed.length !== (trip.packed || []).length;
+            if (!dropped) continue;
+            problems.trips.push(trip.id);
+            put('trips', { ...trip, days, packed });
+        }
+
+        for (const entry of data.wearLog) {
+            const kept = (entry.itemIds || []).filter(id => knownIds.has(id));
+            if (kept.length === (entry.itemIds || []).length) continue;
+            problems.wearLog.push(entry.id);
+            if (kept.length === 0) {
+                remove('wearLog', entry.id);
+            } else {
+                put('wearLog', { ...entry, itemIds: kept });
+            }
+        }
+
+        for (const item of data.shoppingList) {
+            if (item.imageId == null || imageIds.has(item.imageId)) continue;
+            problems.shoppingImages.push(item.id);
+            put('shoppingList', { ...item, imageId: null });
+        }
+        for (const item of trash) {
+            if (Store.trashKind(item) !== 'shopping' || item.imageId == null || imageIds.has(item.imageId)) continue;
+            problems.shoppingImages.push(item.id);
+            put('trash', { ...item, imageId: null });
+        }
+
+        const usedImages = new Set([
+            ...items.map(i => i.imageId),
+            ...trash.map(i => i.imageId),
+            ...data.shoppingList.map(s => s.imageId)
+        ]);
+        for (const id of imageIds) {
+            if (usedImages.has(id)) continue;
+            problems.orphanedImages.push(id);
+            remove('images', id);
+        }
+
+        const total = Object.values(problems).reduce((sum, list) => sum + list.length, 0);
+        return { problems, changes, placeholders: [...placeholders], total };
+    },
+
+    // Apply every fix from a check in one transaction, then reload the in-memory state
+    async repair(report) {
+        if (report.total === 0) return;
+
+        // Placeholder photos are only drawn once the repair goes ahead
+        const changes = { ...report.changes };
+        if (report.placeholders.length > 0) {
+            const { blob, thumb } = await Images.placeholder();
+            const images = changes.images || { put: [], delete: [] };
+            changes.images = {
+                ...images,
+                put: [...images.put, ...report.placeholders.map(id => ({ id, blob, thumb, type: blob.type }))]
+            };
+        }
+
+        await Storage.writeStores(changes);
+        [...(changes.images?.delete || []), ...report.placeholders].forEach(id => Images.forget(id));
+
+        // The journal's snapshots may refer to records that were just removed
+        Journal.clear();
+        await Store.load();
+        Sync.announceReload();
+    }
+};
+
+// Export for use in other modules
+window.Integrity = Integrity;
@@ -0,0 +1,174 @@
+/**
+ * Journal Module - Undo/redo history for user actions
+ * Each tracked action records before/after snapshots of every record it
+ * changes; undo puts the "before" snapshots back, redo the "after" ones
+ */
+
+const Journal = {
+    LIMIT: 50,
+
+    undoStack: [],
+    redoStack: [],
+
+    // Entry collecting changes while a tracked action runs
+    current: null,
+
+    // Tracked actions, undo and redo run one at a time, so an action that is still
+    // working (e.g. an upload) never mixes its changes into another one's entry
+    queue: Promise.resolve(),
+
+    // True while undo/redo writes snapshots, so those writes aren't recorded
+    replaying: false,
+
+    init() {
+        Store.recorder = (slice, key, before, after) => this.capture(slice, key, before, after);
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    },
+
+    // Wrap the named methods of a module so each call becomes one undoable entry.
+    // labels: method name -> description shown in the toast, e.g. "Move to trash".
+    // A tracked method must not call another tracked one: the inner call would
+    // wait in the queue for the outer call to finish
+    track(module, labels) {
+        for (const [method, label] of Object.entries(labels)) {
+            const original = module[method];
+            module[method] = function (...args) {
+                return Journal.record(label, () => original.apply(this, args));
+            };
+        }
+    },
+
+    // Run a task once everything queued before it has finished
+    enqueue(task) {
+        const run = this.queue.then(task);
+        // A failed task mustn't hold up the ones queued after it
+        this.queue = run.catch(() => {});
+        return run;
+    },
+
+    // Run an action and keep the changes it made as one entry
+    record(label, action) {
+        return this.enqueue(() => this.run(label, action));
+    },
+
+    async run(label, action) {
+        const entry = { label, changes: [] };
+        this.current = entry;
+
+        try {
+            return await action();
+        } finally {
+            this.current = null;
+
+            if (entry.changes.length > 0) {
+                this.undoStack.push(entry);
+                if (this.undoStack.length > this.LIMIT) this.undoStack.shift();
+                this.redoStack = [];
+
+                UI.offerUndo(label);
+            }
+        }
+    },
+
+    capture(slice, key, before, after) {
+        if (!this.current || this.replaying) return;
+
+        this.current.changes.push({
+            slice,
+            key,
+            before: before && structuredClone(before),
+            after: after && structuredClone(after)
+        });
+    },
+
+    // Never rejects: a failure is shown in a toast, so callers like the keyboard
+    // shortcut and toast buttons don't need to handle it
+    undo() {
+        return this.enqueue(() => this.undoNext()).catch(err => this.reportFailure('undo', err));
+    },
+
+    redo() {
+        return this.enqueue(() => this.redoNext()).catch(err => this.reportFailure('redo', err));
+    },
+
+    reportFailure(action, err) {
+        console.error(`Could not ${action}:`, err);
+        const known = err.name === 'StaleWriteError' || err.name === 'QuotaExceededError';
+        UI.showToast(known ? err.message : `Could not ${action} - please try again`, 4000);
+    },
+
+    async undoNext() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            UI.showToast('Nothing to undo');
+            return;
+        }
+
+        // Snapshots can be written again, so a failed entry stays to be retried
+        try {
+            await this.replay([...entry.changes].reverse(), 'before');
+        } catch (err) {
+            this.undoStack.push(entry);
+            throw err;
+        }
+        this.redoStack.push(entry);
+
+        UI.showToast(`Undone: ${entry.label}`, 5000, { label: 'Redo', onClick: () => this.redo() });
+    },
+
+    async redoNext() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            UI.showToast('Nothing to redo');
+            return;
+        }
+
+        try {
+            await this.replay(entry.changes, 'after');
+        } catch (err) {
+            this.redoStack.push(entry);
+            throw err;
+        }
+        this.undoStack.push(entry);
+
+        UI.showToast(`Redone: ${entry.label}`, 5000, { label: 'Undo', onClick: () => this.undo() });
+    },
+
+    async replay(changes, side) {
+        this.replaying = true;
+        try {
+            for (const change of changes) {
+                await Store.restoreSnapshot(change.slice, change.key, change[side]);
+            }
+        } finally {
+            this.replaying = false;
+        }
+    },
+
+    // Forget everything, e.g. after emptying the trash deleted the photos undo would need
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    },
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), unless the user is editing text
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const target = e.target;
+        if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+};
+
+// Export for use in other modules
+window.Journal = Journal;
@@ -0,0 +1,300 @@
+/**
+ * Merge Module - Combines a backup with the data already on this device
+ * Records are matched by ID or by content, the newer copy wins on conflict,
+ * and item references are remapped when IDs collide
+ */
+
+const Merge = {
+    // Stores covered by a merge, in the order they are written
+    STORES: ['customSections', 'items', 'weeklyPlan', 'savedOutfits', 'shoppingList', 'wearLog', 'trips'],
+
+    // Build a merge plan without writing anything
+    async plan(data) {
+        if (!data || data.version !== 1) {
+            throw new Error('Invalid data format');
+        }
+
+        // Backups from older versions still use numeric IDs
+        Ids.rewrite(data);
+
+        const plan = {
+            itemIdMap: new Map(),
+            sectionIdMap: new Map(),
+            outfitIdMap: new Map(),
+            images: [],
+            writes: {},
+            summary: {}
+        };
+
+        for (const storeName of this.STORES) {
+            plan.writes[storeName] = [];
+            plan.summary[storeName] = { added: 0, updated: 0, skipped: 0 };
+        }
+
+        const incomingImages = new Map((data.images || []).map(img => [img.id, img.data]));
+        const takenImageIds = new Set(await Storage.getAllKeys('images'));
+
+        await this.planSections(data.customSections || [], plan);
+        await this.planItems(data.items || [], incomingImages, takenImageIds, plan);
+        await this.planWeeklyPlan(data.weeklyPlan || [], plan);
+        await this.planSavedOutfits(data.savedOutfits || [], plan);
+        await this.planShoppingList(data.shoppingList || [], incomingImages, takenImageIds, plan);
+        await this.planWearLog(data.wearLog || [], plan);
+        await this.planTrips(data.trips || [], plan);
+
+        return plan;
+    },
+
+    // Write everything the plan decided to add or update, in one transaction
+    async apply(plan) {
+        // Photos are cleaned first, since the transaction can't wait on other work
+        const images = [];
+        for (const image of plan.images) {
+            const blob = await Images.sanitize(Images.toBlob(image.data));
+            images.push({ id: image.id, blob, thumb: null, type: blob.type });
+        }
+
+        const changes = { images: { put: images } };
+        for (const storeName of this.STORES) {
+            changes[storeName] = { put: plan.writes[storeName] };
+        }
+
+        await Storage.writeStores(changes);
+        return true;
+    },
+
+    // ============ PER-STORE PLANNING ============
+
+    async planSections(incoming, plan) {
+        const local = await Storage.getAllCustomSections();
+
+        for (const section of incoming) {
+            const name = (section.name || '').trim().toLowerCase();
+            const match = local.find(s => s.id === section.id && s.name.trim().toLowerCase() === name) ||
+                local.find(s => s.name.trim().toLowerCase() === name);
+
+            if (match) {
+                plan.sectionIdMap.set(section.id, match.id);
+                this.resolveConflict(plan, 'customSections', { ...section, id: match.id }, match);
+                continue;
+            }
+
+            const record = { ...section };
+            if (local.some(s => s.id === record.id)) {
+                record.id = Ids.generate();
+            }
+
+            plan.sectionIdMap.set(section.id, record.id);
+            this.add(plan, 'customSections', record);
+        }
+    },
+
+    async planItems(incoming, incomingImages, takenImageIds, plan) {
+        const localItems = await Storage.getAllItems();
+        const trash = await Storage.getAllTrash();
+        const takenItemIds = new Set([...localItems, ...trash].map(i => i.id));
+
+        // Fingerprint every local photo so the same piece is recognized under a different ID
+        const localHashes = new Map();
+        const localByHash = new Map();
+        for (const item of localItems) {
+            const hash = await this.hashImage(await Storage.getImage(item.imageId));
+            localHashes.set(item.id, hash);
+            if (hash) localByHash.set(hash, item);
+        }
+
+        for (const item of incoming) {
+            const imageData = incomingImages.get(item.imageId) || null;
+            const hash = await this.hashImage(imageData);
+            const record = Storage.normalizeItem({ ...item, category: this.remapCategory(item.category, plan) });
+
+            // Same ID but a different photo means two unrelated pieces collided
+            let match = localItems.find(i => i.id === item.id);
+            if (match && hash && localHashes.get(match.id) !== hash) match = null;
+            if (!match && hash) match = localByHash.get(hash) || null;
+
+            if (match) {
+                plan.itemIdMap.set(item.id, match.id);
+                this.resolveConflict(plan, 'items', { ...record, id: match.id, imageId: match.imageId }, match);
+                continue;
+            }
+
+            if (takenItemIds.has(record.id)) {
+                record.id = Ids.generate();
+            }
+            takenItemIds.add(record.id);
+
+            if (imageData) {
+                record.imageId = this.claimImage(record.imageId, imageData, takenImageIds, plan);
+            }
+
+            plan.itemIdMap.set(item.id, record.id);
+            this.add(plan, 'items', record);
+        }
+    },
+
+    async planWeeklyPlan(incoming, plan) {
+        const local = await Storage.getWeeklyPlan();
+
+        for (const day of incoming) {
+            const record = { ...day, items: this.remapItemIds(day.items, plan) };
+            const match = local.find(d => d.day === day.day);
+
+            if (!match) {
+                this.add(plan, 'weeklyPlan', record);
+            } else if (match.items.length === 0 && !match.notes) {
+                // An untouched default day always gives way to real plans
+                this.update(plan, 'weeklyPlan', record);
+            } else {
+                this.resolveConflict(plan, 'weeklyPlan', record, match);
+            }
+        }
+    },
+
+    async planSavedOutfits(incoming, plan) {
+        const local = await Storage.getAllSavedOutfits();
+        const signature = (outfit) => [...(outfit.items || [])].sort().join('|');
+
+        for (const outfit of incoming) {
+            const record = { ...outfit, items: this.remapItemIds(outfit.items, plan) };
+            const match = local.find(o => o.id === outfit.id && o.date === outfit.date) ||
+                local.find(o => o.date === outfit.date && signature(o) === signature(record));
+
+            if (match) {
+                plan.outfitIdMap.set(outfit.id, match.id);
+                this.resolveConflict(plan, 'savedOutfits', { ...record, id: match.id }, match);
+                continue;
+            }
+
+            if (local.some(o => o.id === record.id)) {
+                record.id = Ids.generate();
+            }
+
+            plan.outfitIdMap.set(outfit.id, record.id);
+            this.add(plan, 'savedOutfits', record);
+        }
+    },
+
+    // Trips are the same when their IDs match; item references follow the remapped items
+    async planTrips(incoming, plan) {
+        const local = await Storage.getAllTrips();
+
+        for (const trip of incoming) {
+            const record = {
+                ...trip,
+                days: trip.days.map(day => ({ ...day, items: this.remapItemIds(day.items, plan) })),
+                packed: this.remapItemIds(trip.packed, plan)
+            };
+            const match = local.find(t => t.id === trip.id);
+
+            if (match) {
+                this.resolveConflict(plan, 'trips', record, match);
+            } else {
+                this.add(plan, 'trips', record);
+            }
+        }
+    },
+
+    async planShoppingList(incoming, incomingImages, takenImageIds, plan) {
+        const local = await Storage.getAllShoppingItems();
+
+        for (const item of incoming) {
+            const name = (item.name || '').trim().toLowerCase();
+            const match = local.find(s => s.name.trim().toLowerCase() === name);
+
+            if (match) {
+                this.resolveConflict(plan, 'shoppingList', { ...item, id: match.id, imageId: match.imageId }, match);
+                continue;
+            }
+
+            const record = { ...item };
+            if (local.some(s => s.id === record.id)) {
+                record.id = Ids.generate();
+            }
+
+            const imageData = incomingImages.get(item.imageId);
+            record.imageId = imageData
+                ? this.claimImage(record.imageId, imageData, takenImageIds, plan)
+                : null;
+
+            this.add(plan, 'shoppingList', record);
+        }
+    },
+
+    async planWearLog(incoming, plan) {
+        const local = await Storage.getAllWearLog();
+        const signature = (entry) => `${entry.date}:${[...entry.itemIds].sort().join('|')}`;
+        const seen = new Set(local.map(signature));
+
+        for (const entry of incoming) {
+            const record = { ...entry, itemIds: this.remapItemIds(entry.itemIds, plan) };
+            record.id = Ids.generate();
+
+            if (record.source === 'outfit' && plan.outfitIdMap.has(record.sourceId)) {
+                record.sourceId = plan.outfitIdMap.get(record.sourceId);
+            }
+
+            if (record.itemIds.length === 0 || seen.has(signature(record))) {
+                plan.summary.wearLog.skipped++;
+                continue;
+            }
+
+            seen.add(signature(record));
+            this.add(plan, 'wearLog', record);
+        }
+    },
+
+    // ============ HELPERS ============
+
+    add(plan, storeName, record) {
+        plan.writes[storeName].push(record);
+        plan.summary[storeName].added++;
+    },
+
+    update(plan, storeName, record) {
+        plan.writes[storeName].push(record);
+        plan.summary[storeName].updated++;
+    },
+
+    // Keep whichever copy was changed more recently
+    resolveConflict(plan, storeName, incoming, local) {
+        if ((incoming.updatedAt || '') > (local.updatedAt || '')) {
+            this.update(plan, storeName, incoming);
+        } else {
+            plan.summary[storeName].skipped++;
+        }
+    },
+
+    remapItemIds(ids, plan) {
+        return (ids || [])
+            .map(id => plan.itemIdMap.get(id))
+            .filter(id => id != null);
+    },
+
+    remapCategory(category, plan) {
+        if (!category?.startsWith('custom-')) return category;
+
+        const oldId = category.slice('custom-'.length);
+        return plan.sectionIdMap.has(oldId) ? `custom-${plan.sectionIdMap.get(oldId)}` : 'other';
+    },
+
+    // Queue an incoming image, renaming it if its ID is already used on this device
+    claimImage(imageId, data, takenImageIds, plan) {
+        const id = takenImageIds.has(imageId) ? Ids.generate() : imageId;
+        takenImageIds.add(id);
+        plan.images.push({ id, data });
+        return id;
+    },
+
+    // Fingerprint image bytes, whether they arrive as a Blob or a data URL
+    async hashImage(data) {
+        if (!data) return null;
+
+        const bytes = await Images.toBlob(data).arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// Export for use in other modules
+window.Merge = Merge;
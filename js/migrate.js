@@ -15,7 +15,7 @@ const Migration = {
         console.log('🚀 Starting Wardrobe Studio Migration...');
 
         // Check if already migrated
-        if (localStorage.getItem('wardrobe_migrated')) {
+        if (!Storage.isFirstRun()) {
             const confirm = window.confirm(
                 'You have already migrated data. Running again will ADD to existing data (not replace). Continue?'
             );
@@ -106,8 +106,7 @@ const Migration = {
         }
 
         // Mark as migrated
-        localStorage.setItem('wardrobe_migrated', 'true');
-        localStorage.setItem('wardrobe_migratedDate', new Date().toISOString());
+        Storage.setMigrated();
 
         console.log('🎉 Migration complete!');
         alert('Migration complete! Refreshing page...');
@@ -126,9 +125,9 @@ const Migration = {
             console.log(`  - ${category}: ${items.length} items`);
 
             for (const item of items) {
-                // Generate new ID
-                const newId = Date.now() + Math.random();
-                const imageId = newId + 0.1;
+                // Generate new IDs
+                const newId = Ids.generate();
+                const imageId = Ids.generate();
 
                 // Save the image
                 if (item.img) {
@@ -178,7 +177,8 @@ const Migration = {
                 notes: day.notes || ''
             };
 
-            await Storage.saveWeeklyDay(dayData);
+            // Overwrites the day, whatever version is stored
+            await Storage.putRecord('weeklyPlan', Storage.touch(dayData));
         }
 
         console.log(`✅ Migrated ${weeklyDefaults.length} days`);
@@ -191,11 +191,12 @@ const Migration = {
             let imageId = null;
 
             if (item.img) {
-                imageId = Date.now() + Math.random();
+                imageId = Ids.generate();
                 await Storage.saveImage(imageId, item.img);
             }
 
             const shoppingItem = {
+                id: Ids.generate(),
                 name: item.name,
                 desc: item.desc || '',
                 price: item.price || '',
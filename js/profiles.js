@@ -0,0 +1,203 @@
+/**
+ * Profiles Module - Separate wardrobes for everyone sharing one device
+ * Each profile has its own IndexedDB database and its own prefix for
+ * localStorage settings; only the list of profiles and the active one are shared
+ */
+
+const Profiles = {
+    REGISTRY_KEY: 'wardrobe_profiles',
+    ACTIVE_KEY: 'wardrobe_activeProfile',
+
+    // The first profile keeps the original database and settings, so existing data stays put
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'Emily',
+
+    // Point Storage at the active profile; call before Storage.init()
+    init() {
+        const id = this.activeId();
+        Storage.useProfile(this.databaseName(id), this.settingsPrefix(id));
+    },
+
+    databaseName(id) {
+        return id === this.DEFAULT_ID ? 'WardrobeStudioDB' : `WardrobeStudioDB-${id}`;
+    },
+
+    settingsPrefix(id) {
+        return id === this.DEFAULT_ID ? 'wardrobe_' : `wardrobe_${id}_`;
+    },
+
+    // ============ REGISTRY ============
+
+    // Every profile as { id, name, createdAt }, default profile first.
+    // Names come from each profile's own userName setting
+    list() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(this.REGISTRY_KEY)) || [];
+        } catch {
+            stored = [];
+        }
+
+        const profiles = [
+            { id: this.DEFAULT_ID, createdAt: null },
+            ...stored.filter(p => p.id !== this.DEFAULT_ID)
+        ];
+        return profiles.map(p => ({ ...p, name: this.nameOf(p.id) }));
+    },
+
+    saveList(profiles) {
+        const stored = profiles
+            .filter(p => p.id !== this.DEFAULT_ID)
+            .map(({ id, createdAt }) => ({ id, createdAt }));
+        localStorage.setItem(this.REGISTRY_KEY, JSON.stringify(stored));
+    },
+
+    exists(id) {
+        return this.list().some(p => p.id === id);
+    },
+
+    activeId() {
+        const id = localStorage.getItem(this.ACTIVE_KEY);
+        return id && this.exists(id) ? id : this.DEFAULT_ID;
+    },
+
+    // Read a profile's name without switching to it. Names are stored as raw strings,
+    // so one like "2024" or "null" must not come back parsed into a number or null
+    nameOf(id) {
+        const value = localStorage.getItem(`${this.settingsPrefix(id)}userName`);
+        if (value === null) return id === this.DEFAULT_ID ? this.DEFAULT_NAME : 'Profile';
+        try {
+            const parsed = JSON.parse(value);
+            return typeof parsed === 'string' ? parsed : value;
+        } catch {
+            return value;
+        }
+    },
+
+    activeName() {
+        return this.nameOf(this.activeId());
+    },
+
+    // The active profile's name as it appears in backup file names
+    activeSlug() {
+        return this.activeName().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    },
+
+    // ============ MANAGING PROFILES ============
+
+    // Add an empty profile. It starts without the sample wardrobe or the welcome screen
+    create(name) {
+        const id = Ids.generate();
+        const prefix = this.settingsPrefix(id);
+
+        localStorage.setItem(`${prefix}userName`, name);
+        localStorage.setItem(`${prefix}migrated`, 'true');
+        localStorage.setItem(`${prefix}migratedDate`, new Date().toISOString());
+
+        this.saveList([...this.list(), { id, createdAt: new Date().toISOString() }]);
+        return id;
+    },
+
+    // Remember the choice for this device and reload into the other profile
+    switchTo(id) {
+        if (!this.exists(id) || id === this.activeId()) return;
+
+        localStorage.setItem(this.ACTIVE_KEY, id);
+        window.location.reload();
+    },
+
+    // Delete a profile's database and settings. The default profile and the
+    // active one can't be removed
+    async remove(id) {
+        if (id === this.DEFAULT_ID || id === this.activeId()) {
+            throw new Error('This profile cannot be deleted');
+        }
+
+        this.saveList(this.list().filter(p => p.id !== id));
+
+        const prefix = this.settingsPrefix(id);
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => localStorage.removeItem(key));
+
+        // Windows still showing the profile get a versionchange event and reload
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.databaseName(id));
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ============ COPYING ITEMS ============
+
+    // Copy wardrobe items (with their photos) into another profile. Items in a
+    // custom section go to the section of the same name there, created if needed.
+    // Returns the number of items copied
+    async copyItems(itemIds, targetId) {
+        if (!this.exists(targetId) || targetId === this.activeId()) {
+            throw new Error('Choose another profile to copy to');
+        }
+
+        const targetDbName = this.databaseName(targetId);
+        const db = await Storage.openDatabase(targetDbName);
+
+        try {
+            const { customSections } = await Storage.readStores(['customSections'], db);
+            const sectionsByName = new Map(customSections.map(s => [s.name.toLowerCase(), s]));
+
+            const changes = {
+                customSections: { put: [] },
+                images: { put: [] },
+                items: { put: [] }
+            };
+
+            // Same-named section in the target profile, or a new one
+            const targetCategory = (category) => {
+                if (!category?.startsWith('custom-')) return category;
+
+                const section = Store.getSection(category.slice('custom-'.length));
+                if (!section) return 'other';
+
+                const key = section.name.toLowerCase();
+                if (!sectionsByName.has(key)) {
+                    const created = Storage.touch({ id: Ids.generate(), name: section.name });
+                    sectionsByName.set(key, created);
+                    changes.customSections.put.push(created);
+                }
+                return `custom-${sectionsByName.get(key).id}`;
+            };
+
+            for (const id of itemIds) {
+                const item = Store.getItem(id);
+                if (!item) continue;
+
+                const image = item.imageId ? await Storage.getRecord('images', item.imageId) : null;
+                const copy = {
+                    ...item,
+                    id: Ids.generate(),
+                    imageId: image ? Ids.generate() : null,
+                    category: targetCategory(item.category),
+                    laundry: false
+                };
+
+                if (image) changes.images.put.push({ ...image, id: copy.imageId });
+                changes.items.put.push(Storage.touch(copy));
+            }
+
+            await Storage.writeStores(changes, db);
+
+            // Windows showing the other profile pick up the new records
+            Sync.announceTo(targetDbName, [
+                { slice: 'customSections', type: 'add', ids: changes.customSections.put.map(s => s.id) },
+                { slice: 'items', type: 'add', ids: changes.items.put.map(i => i.id) }
+            ]);
+
+            return changes.items.put.length;
+        } finally {
+            db.close();
+        }
+    }
+};
+
+// Export for use in other modules
+window.Profiles = Profiles;
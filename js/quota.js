@@ -0,0 +1,168 @@
+/**
+ * Quota Module - Storage usage and cleanup
+ * Reports how much of the browser's quota the app uses and where it goes,
+ * asks for persistent storage, and frees space by emptying the trash,
+ * recompressing photos or deleting photos nothing uses
+ */
+
+const Quota = {
+    // Warn once per visit when usage passes this share of the quota
+    WARN_RATIO: 0.8,
+
+    // How many of the largest photos the breakdown lists
+    LARGEST_IMAGES: 8,
+
+    // Recompressing has to save at least this share of a photo to replace it
+    MIN_SAVING: 0.05,
+
+    STORE_LABELS: {
+        images: 'Photos',
+        backups: 'Browser backups',
+        items: 'Wardrobe items',
+        trash: 'Trash',
+        weeklyPlan: 'Weekly plan',
+        savedOutfits: 'Saved outfits',
+        customSections: 'Custom sections',
+        shoppingList: 'Shopping list',
+        wearLog: 'Wear log',
+        trips: 'Trips'
+    },
+
+    warned: false,
+
+    isSupported() {
+        return typeof navigator.storage?.estimate === 'function';
+    },
+
+    // { usage, quota, ratio, persisted } for the whole site, or null where unsupported
+    async estimate() {
+        if (!this.isSupported()) return null;
+
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = typeof navigator.storage.persisted === 'function'
+            ? await navigator.storage.persisted()
+            : false;
+
+        return { usage, quota, ratio: quota > 0 ? usage / quota : 0, persisted };
+    },
+
+    // True the first time usage passes WARN_RATIO in this visit
+    async shouldWarn() {
+        if (this.warned) return false;
+
+        const estimate = await this.estimate();
+        if (!estimate || estimate.ratio < this.WARN_RATIO) return false;
+
+        this.warned = true;
+        return true;
+    },
+
+    // Persistent storage isn't cleared when the browser runs low on space.
+    // Browsers decide for themselves, so this resolves to whether it was granted
+    async requestPersistence() {
+        if (typeof navigator.storage?.persist !== 'function') return false;
+        return navigator.storage.persist();
+    },
+
+    // ============ BREAKDOWN ============
+
+    // Approximate bytes per store, largest first, and the largest photos with what uses them
+    async breakdown() {
+        const storeNames = Object.keys(this.STORE_LABELS);
+        const data = await Storage.readStores(storeNames);
+
+        const stores = storeNames
+            .map(name => ({
+                name,
+                label: this.STORE_LABELS[name],
+                count: data[name].length,
+                size: data[name].reduce((sum, record) => sum + this.recordSize(record), 0)
+            }))
+            .sort((a, b) => b.size - a.size);
+
+        const owners = new Map();
+        for (const item of data.items) owners.set(item.imageId, item.name || 'Wardrobe item');
+        for (const entry of data.shoppingList) owners.set(entry.imageId, entry.name || 'Shopping list entry');
+        for (const entry of data.trash) owners.set(entry.imageId, `${entry.name || 'Item'} (in trash)`);
+
+        const largestImages = data.images
+            .map(img => ({
+                id: img.id,
+                owner: owners.get(img.id) || null,
+                size: (img.blob?.size || 0) + (img.thumb?.size || 0)
+            }))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, this.LARGEST_IMAGES);
+
+        return { stores, largestImages };
+    },
+
+    // Blob sizes plus the length of everything else as JSON
+    recordSize(record) {
+        let size = 0;
+        const json = JSON.stringify(record, (key, value) => {
+            if (value instanceof Blob) {
+                size += value.size;
+                return undefined;
+            }
+            return value;
+        });
+        return size + (json ? json.length : 0);
+    },
+
+    // ============ CLEANUP ============
+
+    // Re-encode stored photos with the current upload settings, keeping a new
+    // copy only when it is clearly smaller. Resolves to { count, saved }
+    async recompressImages(onProgress = () => {}) {
+        const settings = Images.getUploadSettings();
+        const ids = await Storage.getAllKeys('images');
+        let count = 0;
+        let saved = 0;
+
+        for (const [index, id] of ids.entries()) {
+            onProgress(index + 1, ids.length);
+
+            const blob = await Storage.getImage(id);
+            if (!blob) continue;
+
+            try {
+                const smaller = await Images.optimize(blob, settings);
+                if (smaller.size > blob.size * (1 - this.MIN_SAVING)) continue;
+
+                await Storage.updateImage(id, { blob: smaller, type: smaller.type });
+                Images.forget(id);
+                count++;
+                saved += blob.size - smaller.size;
+            } catch (err) {
+                console.warn(`Could not recompress image ${id}:`, err);
+            }
+        }
+
+        return { count, saved };
+    },
+
+    // Photos no item, trash entry or shopping list entry points to
+    async findOrphanedImages() {
+        const data = await Storage.readStores(['images', 'items', 'trash', 'shoppingList']);
+        const used = new Set([...data.items, ...data.trash, ...data.shoppingList].map(r => r.imageId));
+
+        return data.images
+            .filter(img => !used.has(img.id))
+            .map(img => ({ id: img.id, size: this.recordSize(img) }));
+    },
+
+    // Delete orphaned photos in one transaction. Resolves to { count, saved }
+    async deleteOrphanedImages() {
+        const orphans = await this.findOrphanedImages();
+        if (orphans.length === 0) return { count: 0, saved: 0 };
+
+        await Storage.writeStores({ images: { delete: orphans.map(img => img.id) } });
+        orphans.forEach(img => Images.forget(img.id));
+
+        return { count: orphans.length, saved: orphans.reduce((sum, img) => sum + img.size, 0) };
+    }
+};
+
+// Export for use in other modules
+window.Quota = Quota;
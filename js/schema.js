@@ -0,0 +1,241 @@
+/**
+ * Schema Module - Declared shape of a backup file
+ * Imports are checked against it before anything is written: field types,
+ * required fields, duplicate IDs and photos that are referenced but missing
+ */
+
+const Schema = {
+    // Field types per collection. 'id' is a UUID or an older numeric ID,
+    // a trailing '?' allows the field to be missing or null, and '[]' is a list.
+    // Fields not listed here are allowed and kept as they are. 'nested' gives the
+    // fields of an object field, or of every record in an object list
+    COLLECTIONS: {
+        customSections: {
+            key: 'id',
+            fields: { id: 'id', name: 'string', updatedAt: 'string?' }
+        },
+        items: {
+            key: 'id',
+            fields: {
+                id: 'id',
+                imageId: 'id',
+                category: 'string',
+                name: 'string?',
+                brand: 'string?',
+                colors: 'string[]?',
+                size: 'string?',
+                material: 'string?',
+                season: 'string?',
+                purchasePrice: 'number?',
+                purchaseDate: 'string?',
+                tags: 'string[]?',
+                notes: 'string?',
+                warmth: 'string?',
+                waterResistant: 'boolean?',
+                favorite: 'boolean?',
+                laundry: 'boolean?',
+                dateAdded: 'string?',
+                updatedAt: 'string?'
+            }
+        },
+        images: {
+            key: 'id',
+            fields: { id: 'id', data: 'image' }
+        },
+        weeklyPlan: {
+            key: 'day',
+            fields: { day: 'string', type: 'string?', items: 'id[]', notes: 'string?', updatedAt: 'string?' }
+        },
+        savedOutfits: {
+            key: 'id',
+            fields: { id: 'id', items: 'id[]', notes: 'string?', date: 'string?', updatedAt: 'string?' }
+        },
+        shoppingList: {
+            key: 'id',
+            fields: { id: 'id', name: 'string', desc: 'string?', price: 'string|number?', imageId: 'id?', updatedAt: 'string?' }
+        },
+        wearLog: {
+            key: 'id',
+            fields: { id: 'id?', date: 'string', itemIds: 'id[]', source: 'string?', sourceId: 'id?', weather: 'object?' }
+        },
+        trips: {
+            key: 'id',
+            fields: {
+                id: 'id',
+                name: 'string',
+                destination: 'object',
+                startDate: 'string',
+                endDate: 'string',
+                activities: 'string[]?',
+                days: 'object[]',
+                packed: 'id[]?',
+                updatedAt: 'string?'
+            },
+            nested: {
+                destination: { lat: 'number', lon: 'number', name: 'string' },
+                days: { date: 'string', activity: 'string?', items: 'string[]' }
+            }
+        }
+    },
+
+    // Collections every backup has; the others were added in later versions
+    REQUIRED: ['items', 'images'],
+
+    // Only this many messages of each kind are listed; the rest are counted
+    MAX_MESSAGES: 10,
+
+    // Check a parsed backup without changing it. Errors mean it can't be imported;
+    // warnings describe what the import will leave out
+    validate(data) {
+        const report = { errors: [], warnings: [], counts: {}, hiddenErrors: 0, hiddenWarnings: 0 };
+        const error = (message) => this.addMessage(report, 'errors', message);
+        const warn = (message) => this.addMessage(report, 'warnings', message);
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            error('The file does not contain a wardrobe backup');
+            return this.finish(report);
+        }
+        if (data.version !== 1) {
+            error(`Unsupported backup version: ${JSON.stringify(data.version ?? null)}`);
+            return this.finish(report);
+        }
+
+        for (const [name, schema] of Object.entries(this.COLLECTIONS)) {
+            const records = data[name];
+
+            if (records === undefined) {
+                if (this.REQUIRED.includes(name)) error(`"${name}" is missing`);
+                report.counts[name] = 0;
+                continue;
+            }
+            if (!Array.isArray(records)) {
+                error(`"${name}" should be a list`);
+                continue;
+            }
+
+            report.counts[name] = records.length;
+            const seen = new Set();
+
+            records.forEach((record, index) => {
+                const where = `${name}[${index}]`;
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    error(`${where} is not a record`);
+                    return;
+                }
+
+                for (const [field, type] of Object.entries(schema.fields)) {
+                    const problem = this.checkField(record[field], type);
+                    if (problem) error(`${where}.${field} ${problem}`);
+                }
+
+                for (const [field, fields] of Object.entries(schema.nested || {})) {
+                    this.checkNested(record[field], fields, `${where}.${field}`, error);
+                }
+
+                const key = record[schema.key];
+                if (key == null) return;
+                if (seen.has(key)) error(`${where} repeats the ID ${key}`);
+                seen.add(key);
+            });
+        }
+
+        if (report.errors.length === 0) this.checkReferences(data, warn, error);
+        return this.finish(report);
+    },
+
+    // Photos and items that records point to but the backup doesn't contain
+    checkReferences(data, warn, error) {
+        const imageIds = new Set((data.images || []).map(img => img.id));
+        const itemIds = new Set((data.items || []).map(item => item.id));
+        const sectionCategories = new Set((data.customSections || []).map(s => `custom-${s.id}`));
+
+        (data.items || []).forEach((item, index) => {
+            if (!imageIds.has(item.imageId)) {
+                error(`items[${index}]${item.name ? ` (${item.name})` : ''} uses photo ${item.imageId}, which is not in the backup`);
+            }
+            if (item.category.startsWith('custom-') && !sectionCategories.has(item.category)) {
+                warn(`items[${index}] is filed under a section that is not in the backup; it will go to Dresses & Shoes`);
+            }
+        });
+
+        (data.shoppingList || []).forEach((entry, index) => {
+            if (entry.imageId != null && !imageIds.has(entry.imageId)) {
+                warn(`shoppingList[${index}] (${entry.name}) uses a photo that is not in the backup; it will be imported without one`);
+            }
+        });
+
+        let missingItems = 0;
+        for (const day of data.weeklyPlan || []) missingItems += day.items.filter(id => !itemIds.has(id)).length;
+        for (const outfit of data.savedOutfits || []) missingItems += outfit.items.filter(id => !itemIds.has(id)).length;
+        for (const entry of data.wearLog || []) missingItems += entry.itemIds.filter(id => !itemIds.has(id)).length;
+        for (const trip of data.trips || []) {
+            for (const day of trip.days) missingItems += day.items.filter(id => !itemIds.has(id)).length;
+        }
+        if (missingItems > 0) {
+            warn(`${missingItems} reference(s) from plans, outfits, trips or the wear log point to items not in the backup and will be dropped`);
+        }
+    },
+
+    // Check the fields of an object, or of each object in a list. Values that aren't
+    // objects were already reported by checkField
+    checkNested(value, fields, where, error) {
+        const entries = Array.isArray(value) ? value.map((entry, i) => [entry, `${where}[${i}]`]) : [[value, where]];
+
+        for (const [entry, path] of entries) {
+            if (!entry || typeof entry !== 'object') continue;
+
+            for (const [field, type] of Object.entries(fields)) {
+                const problem = this.checkField(entry[field], type);
+                if (problem) error(`${path}.${field} ${problem}`);
+            }
+        }
+    },
+
+    // Describe why a value doesn't match a declared type, or return null
+    checkField(value, type) {
+        const optional = type.endsWith('?');
+        const base = optional ? type.slice(0, -1) : type;
+
+        if (value === undefined || value === null) {
+            return optional ? null : 'is missing';
+        }
+
+        if (base.endsWith('[]')) {
+            if (!Array.isArray(value)) return 'should be a list';
+            const itemType = base.slice(0, -2);
+            return value.every(v => this.matches(v, itemType)) ? null : `should only contain ${itemType} values`;
+        }
+
+        return this.matches(value, base) ? null : `should be ${base.replace('|', ' or ')}`;
+    },
+
+    matches(value, type) {
+        return type.split('|').some(t => {
+            switch (t) {
+                case 'id': return (typeof value === 'string' && value !== '') || Number.isFinite(value);
+                case 'number': return Number.isFinite(value);
+                case 'object': return typeof value === 'object' && !Array.isArray(value);
+                case 'image': return value instanceof Blob || (typeof value === 'string' && value.startsWith('data:'));
+                default: return typeof value === t;
+            }
+        });
+    },
+
+    addMessage(report, kind, message) {
+        if (report[kind].length < this.MAX_MESSAGES) {
+            report[kind].push(message);
+        } else if (kind === 'errors') {
+            report.hiddenErrors++;
+        } else {
+            report.hiddenWarnings++;
+        }
+    },
+
+    finish(report) {
+        report.ok = report.errors.length === 0;
+        return report;
+    }
+};
+
+// Export for use in other modules
+window.Schema = Schema;
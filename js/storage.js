@@ -1,40 +1,38 @@
 /**
  * Storage Module - Handles all data persistence
- * Uses IndexedDB for images and large data, localStorage for settings
+ * Uses IndexedDB for images and large data, localStorage for settings;
+ * both are scoped to the active profile
  */
 
 const Storage = {
     DB_NAME: 'WardrobeStudioDB',
-    DB_VERSION: 1,
+    DB_VERSION: 7,
     db: null,
 
-    // Initialize IndexedDB
-    async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+    // Prefix of every localStorage setting; each profile has its own (see Profiles)
+    SETTINGS_PREFIX: 'wardrobe_',
 
-            request.onerror = () => {
-                console.error('Failed to open IndexedDB:', request.error);
-                reject(request.error);
-            };
-
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('IndexedDB initialized successfully');
-                resolve();
-            };
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                console.log('Creating IndexedDB stores...');
+    // Called after the connection is closed because another tab is upgrading the schema
+    onVersionChange: null,
 
+    // Ordered schema migrations. When the database is older than a step's
+    // version, that step runs inside the upgrade transaction, so it can create
+    // stores and indexes as well as rewrite existing records. Steps must be
+    // synchronous (only IndexedDB requests) or the transaction will commit early.
+    // Steps receive the upgrade's { oldVersion, newVersion } as their third argument.
+    // Always append new steps and bump DB_VERSION to match the last one.
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Create object stores',
+            migrate(db) {
                 // Store for wardrobe items (metadata only, images stored separately)
                 if (!db.objectStoreNames.contains('items')) {
                     const itemStore = db.createObjectStore('items', { keyPath: 'id', autoIncrement: true });
                     itemStore.createIndex('category', 'category', { unique: false });
                 }
 
-                // Store for base64 images
+                // Store for images
                 if (!db.objectStoreNames.contains('images')) {
                     db.createObjectStore('images', { keyPath: 'id' });
                 }
@@ -63,10 +61,243 @@ const Storage = {
                 if (!db.objectStoreNames.contains('trash')) {
                     db.createObjectStore('trash', { keyPath: 'id' });
                 }
+            }
+        },
+        {
+            version: 2,
+            description: 'Index items by date added and backfill detail fields',
+            migrate(db, tx, upgrade) {
+                const itemStore = tx.objectStore('items');
+                if (!itemStore.indexNames.contains('dateAdded')) {
+                    itemStore.createIndex('dateAdded', 'dateAdded', { unique: false });
+                }
+
+                // Version 5 rewrites every record and normalizes items itself; a cursor
+                // still walking here would put the old numeric-keyed records back
+                if (upgrade.newVersion >= 5) return;
+
+                Storage.forEachRecord(itemStore, (item, cursor) => {
+                    cursor.update(Storage.normalizeItem(item));
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Create wear log store',
+            migrate(db) {
+                // One entry per "wore it" event, covering one or more items
+                if (!db.objectStoreNames.contains('wearLog')) {
+                    const wearStore = db.createObjectStore('wearLog', { keyPath: 'id', autoIncrement: true });
+                    wearStore.createIndex('itemIds', 'itemIds', { unique: false, multiEntry: true });
+                    wearStore.createIndex('date', 'date', { unique: false });
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Convert base64 images to Blobs',
+            migrate(db, tx, upgrade) {
+                // Thumbnails need a canvas, so Images.backfillThumbnails creates them after opening.
+                // Version 5 converts images itself, for the same reason as in version 2
+                if (upgrade.newVersion >= 5) return;
+
+                Storage.forEachRecord(tx.objectStore('images'), (record, cursor) => {
+                    if (typeof record.data !== 'string') return;
+
+                    const blob = Images.dataUrlToBlob(record.data);
+                    cursor.update({ id: record.id, blob, thumb: null, type: blob.type });
+                });
+            }
+        },
+        {
+            version: 5,
+            description: 'Replace numeric IDs with UUIDs',
+            migrate(db, tx) {
+                // Keys change, so every record is read, rewritten and stored again under its new key.
+                // The stores are listed as they were at version 5; later ones don't exist yet
+                const storeNames = ['customSections', 'images', 'items', 'trash', 'weeklyPlan', 'savedOutfits', 'shoppingList', 'wearLog'];
+                Storage.collect(tx, storeNames, (data) => {
+                    // Versions 2 and 4 skip their cursor passes when this step follows
+                    // in the same upgrade, so their record conversions happen here
+                    data.items.forEach(item => Storage.normalizeItem(item));
+                    data.images = data.images.map(record => {
+                        if (typeof record.data !== 'string') return record;
+                        const blob = Images.dataUrlToBlob(record.data);
+                        return { id: record.id, blob, thumb: null, type: blob.type };
+                    });
+
+                    Ids.rewrite(data);
+
+                    for (const storeName of storeNames) {
+                        const store = tx.objectStore(storeName);
+                        store.clear();
+                        data[storeName].forEach(record => store.put(record));
+                    }
+                });
+            }
+        },
+        {
+            version: 6,
+            description: 'Create automatic backup stores',
+            migrate(db) {
+                // Backup snapshots kept in the browser when no backup folder is chosen
+                if (!db.objectStoreNames.contains('backups')) {
+                    const backupStore = db.createObjectStore('backups', { keyPath: 'id' });
+                    backupStore.createIndex('date', 'date', { unique: false });
+                }
+
+                // File System Access handles, such as the chosen backup folder
+                if (!db.objectStoreNames.contains('handles')) {
+                    db.createObjectStore('handles', { keyPath: 'name' });
+                }
+            }
+        },
+        {
+            version: 7,
+            description: 'Create trips store',
+            migrate(db) {
+                // Trips with a destination, a date range and one outfit per day
+                if (!db.objectStoreNames.contains('trips')) {
+                    db.createObjectStore('trips', { keyPath: 'id' });
+                }
+            }
+        }
+    ],
+
+    // Every object store of wardrobe data, in the order backups and repairs write them.
+    // The backup snapshots and handles stores are kept out on purpose, so a
+    // restore doesn't wipe the snapshots it might need to be undone with
+    ALL_STORES: ['customSections', 'images', 'items', 'trash', 'weeklyPlan', 'savedOutfits', 'shoppingList', 'wearLog', 'trips'],
+
+    // Point storage at one profile's database and settings; call before init()
+    useProfile(dbName, settingsPrefix) {
+        this.DB_NAME = dbName;
+        this.SETTINGS_PREFIX = settingsPrefix;
+    },
+
+    // Initialize IndexedDB
+    async init() {
+        this.db = await this.openDatabase(this.DB_NAME);
+
+        // Another tab is upgrading the schema: let go of the connection so it isn't blocked
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+            this.onVersionChange?.();
+        };
+
+        console.log('IndexedDB initialized successfully');
+    },
+
+    // Open a database by name, upgrading it to the current schema. Also used to
+    // reach another profile's database; callers other than init() must close it
+    async openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, this.DB_VERSION);
+
+            request.onerror = () => {
+                console.error('Failed to open IndexedDB:', request.error);
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade is waiting for other open tabs to close');
+            };
+
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const tx = event.target.transaction;
+
+                try {
+                    this.runMigrations(db, tx, event.oldVersion, event.newVersion);
+                } catch (err) {
+                    // Aborting rolls the database back to its previous version
+                    console.error('IndexedDB migration failed:', err);
+                    tx.abort();
+                }
             };
         });
     },
 
+    // Run every migration step between the old and new schema versions
+    runMigrations(db, tx, oldVersion, newVersion) {
+        const steps = this.MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+
+        for (const step of steps) {
+            console.log(`Migrating IndexedDB to v${step.version}: ${step.description}`);
+            step.migrate(db, tx, { oldVersion, newVersion });
+        }
+    },
+
+    // Walk every record in a store with a cursor (safe inside upgrade transactions)
+    forEachRecord(store, callback) {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            callback(cursor.value, cursor);
+            cursor.continue();
+        };
+    },
+
+    // Read every record of the given stores within an existing transaction, then
+    // call back with { storeName: records[] } while the transaction is still active
+    collect(tx, storeNames, callback) {
+        const data = {};
+        let pending = storeNames.length;
+
+        for (const storeName of storeNames) {
+            const request = tx.objectStore(storeName).getAll();
+            request.onsuccess = () => {
+                data[storeName] = request.result || [];
+                if (--pending === 0) callback(data);
+            };
+        }
+    },
+
+    // Read several stores in one consistent snapshot (of another database when given)
+    async readStores(storeNames, db = this.db) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readonly');
+            this.collect(tx, storeNames, resolve);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    // Apply { storeName: { clear, put: records[], delete: keys[] } } in a single transaction,
+    // so either every change is written or none is. clear empties the store first
+    async writeStores(changes, db = this.db) {
+        const storeNames = Object.keys(changes);
+        if (storeNames.length === 0) return;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+
+            for (const [storeName, { clear = false, put = [], delete: keys = [] }] of Object.entries(changes)) {
+                const store = tx.objectStore(storeName);
+                if (clear) store.clear();
+                keys.forEach(key => store.delete(key));
+                put.forEach(record => store.put(record));
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(this.storageError(tx.error));
+            tx.onabort = () => reject(this.storageError(tx.error));
+        });
+    },
+
+    // Browsers abort writes with a QuotaExceededError when the disk or quota is full;
+    // replace its generic message with one that says how to make room
+    storageError(error) {
+        if (error?.name !== 'QuotaExceededError') return error;
+
+        const err = new Error('Storage is full. Free up space in Settings > Storage and try again.');
+        err.name = 'QuotaExceededError';
+        return err;
+    },
+
     // Generic transaction helper
     async transaction(storeName, mode, callback) {
         return new Promise((resolve, reject) => {
@@ -79,18 +310,145 @@ const Storage = {
         });
     },
 
-    // ============ ITEMS ============
+    // Record when a record last changed, so merges can keep the newer copy
+    touch(record) {
+        record.updatedAt = new Date().toISOString();
+        return record;
+    },
 
-    async saveItem(item) {
+    // Write a record exactly as given (no timestamp), used when importing backups
+    async putRecord(storeName, record) {
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('items', 'readwrite');
-            const store = tx.objectStore('items');
-            const request = store.put(item);
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            const request = store.put(record);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     },
 
+    // updatedAt of the last write this window made, per "storeName:key". A stored copy
+    // newer than the one being saved is no conflict when this window wrote it, e.g.
+    // when the same action runs twice before the first save has finished
+    ownWrites: new Map(),
+
+    // Write a record unless another window saved a newer version after this one was read.
+    // Rejects with a StaleWriteError and leaves the stored record untouched
+    async putChecked(storeName, record) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            const key = record[store.keyPath];
+
+            const write = () => {
+                const request = store.put(this.touch(record));
+                request.onsuccess = () => {
+                    this.ownWrites.set(`${storeName}:${request.result}`, record.updatedAt);
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            };
+
+            // New records in autoIncrement stores have no key yet
+            if (key === undefined) {
+                write();
+                return;
+            }
+
+            const getRequest = store.get(key);
+            getRequest.onsuccess = () => {
+                const current = getRequest.result;
+                const newer = current?.updatedAt && current.updatedAt > (record.updatedAt || '');
+                if (newer && current.updatedAt !== this.ownWrites.get(`${storeName}:${key}`)) {
+                    reject(this.staleWriteError(storeName, key));
+                    return;
+                }
+                write();
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    },
+
+    staleWriteError(storeName, key) {
+        const err = new Error('This was changed in another window. The latest version has been loaded.');
+        err.name = 'StaleWriteError';
+        err.storeName = storeName;
+        err.key = key;
+        return err;
+    },
+
+    async getRecord(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const store = tx.objectStore(storeName);
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deleteRecord(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            const request = store.delete(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllRecords(storeName) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const store = tx.objectStore(storeName);
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllKeys(storeName) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const store = tx.objectStore(storeName);
+            const request = store.getAllKeys();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ============ ITEMS ============
+
+    // Descriptive fields edited in the item detail modal
+    ITEM_DETAIL_DEFAULTS: {
+        name: '',
+        brand: '',
+        colors: [],
+        size: '',
+        material: '',
+        season: '',
+        purchasePrice: null,
+        purchaseDate: '',
+        tags: [],
+        notes: '',
+        warmth: '',
+        waterResistant: false
+    },
+
+    // Fill in any detail fields missing from an item record
+    normalizeItem(item) {
+        for (const [key, value] of Object.entries(this.ITEM_DETAIL_DEFAULTS)) {
+            if (item[key] === undefined) {
+                item[key] = Array.isArray(value) ? [] : value;
+            }
+        }
+        return item;
+    },
+
+    async saveItem(item) {
+        return this.putChecked('items', item);
+    },
+
     async getItem(id) {
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('items', 'readonly');
@@ -123,26 +481,84 @@ const Storage = {
 
     // ============ IMAGES ============
 
-    async saveImage(id, base64Data) {
+    // Image records hold the full photo and its thumbnail as Blobs: { id, blob, thumb, type }.
+    // Every photo has its EXIF/XMP/GPS metadata stripped before it is written
+    async saveImage(id, image, thumb = null) {
+        const blob = await Images.sanitize(Images.toBlob(image));
+
+        // A full disk only shows when the transaction commits, so wait for that
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('images', 'readwrite');
-            const store = tx.objectStore('images');
-            const request = store.put({ id, data: base64Data });
-            request.onsuccess = () => resolve(id);
-            request.onerror = () => reject(request.error);
+            tx.objectStore('images').put({ id, blob, thumb, type: blob.type });
+            tx.oncomplete = () => resolve(id);
+            tx.onerror = () => reject(this.storageError(tx.error));
+            tx.onabort = () => reject(this.storageError(tx.error));
         });
     },
 
+    // Full-size image Blob
     async getImage(id) {
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('images', 'readonly');
             const store = tx.objectStore('images');
             const request = store.get(id);
-            request.onsuccess = () => resolve(request.result?.data || null);
+            request.onsuccess = () => resolve(request.result?.blob || null);
             request.onerror = () => reject(request.error);
         });
     },
 
+    // Thumbnail Blobs for many images in one transaction (full image if no thumbnail yet)
+    async getThumbnails(ids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('images', 'readonly');
+            const store = tx.objectStore('images');
+            const thumbs = new Map();
+
+            for (const id of ids) {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (record) thumbs.set(id, record.thumb || record.blob);
+                };
+            }
+
+            tx.oncomplete = () => resolve(thumbs);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    // Change fields of an existing image record, e.g. { thumb } or { blob, type }
+    async updateImage(id, changes) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('images', 'readwrite');
+            const store = tx.objectStore('images');
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                if (getRequest.result) {
+                    store.put({ ...getRequest.result, ...changes });
+                }
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    async saveThumbnail(id, thumb) {
+        return this.updateImage(id, { thumb });
+    },
+
+    async getImageIdsWithoutThumbnail() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('images', 'readonly');
+            const ids = [];
+            this.forEachRecord(tx.objectStore('images'), (record) => {
+                if (!record.thumb) ids.push(record.id);
+            });
+            tx.oncomplete = () => resolve(ids);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
     async deleteImage(id) {
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('images', 'readwrite');
@@ -156,13 +572,7 @@ const Storage = {
     // ============ WEEKLY PLAN ============
 
     async saveWeeklyDay(dayData) {
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('weeklyPlan', 'readwrite');
-            const store = tx.objectStore('weeklyPlan');
-            const request = store.put(dayData);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+        return this.putChecked('weeklyPlan', dayData);
     },
 
     async getWeeklyPlan() {
@@ -178,13 +588,7 @@ const Storage = {
     // ============ SAVED OUTFITS ============
 
     async saveOutfit(outfit) {
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('savedOutfits', 'readwrite');
-            const store = tx.objectStore('savedOutfits');
-            const request = store.put(outfit);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.putChecked('savedOutfits', outfit);
     },
 
     async getAllSavedOutfits() {
@@ -207,16 +611,24 @@ const Storage = {
         });
     },
 
+    // ============ TRIPS ============
+
+    async saveTrip(trip) {
+        return this.putChecked('trips', trip);
+    },
+
+    async getAllTrips() {
+        return this.getAllRecords('trips');
+    },
+
+    async deleteTrip(id) {
+        return this.deleteRecord('trips', id);
+    },
+
     // ============ CUSTOM SECTIONS ============
 
     async saveCustomSection(section) {
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('customSections', 'readwrite');
-            const store = tx.objectStore('customSections');
-            const request = store.put(section);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.putChecked('customSections', section);
     },
 
     async getAllCustomSections() {
@@ -242,13 +654,7 @@ const Storage = {
     // ============ SHOPPING LIST ============
 
     async saveShoppingItem(item) {
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction('shoppingList', 'readwrite');
-            const store = tx.objectStore('shoppingList');
-            const request = store.put(item);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.putChecked('shoppingList', item);
     },
 
     async getAllShoppingItems() {
@@ -329,10 +735,75 @@ const Storage = {
         });
     },
 
+    // Permanently delete some trash entries and their photos
+    async purgeTrash(ids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['trash', 'images'], 'readwrite');
+            const trashStore = tx.objectStore('trash');
+            const imageStore = tx.objectStore('images');
+
+            ids.forEach(id => {
+                const getRequest = trashStore.get(id);
+                getRequest.onsuccess = () => {
+                    const item = getRequest.result;
+                    if (item?.imageId) {
+                        imageStore.delete(item.imageId);
+                    }
+                    trashStore.delete(id);
+                };
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    // ============ WEAR LOG ============
+
+    async addWearEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('wearLog', 'readwrite');
+            const store = tx.objectStore('wearLog');
+            const request = store.put(entry);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getWearLogForItem(itemId) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('wearLog', 'readonly');
+            const index = tx.objectStore('wearLog').index('itemIds');
+            const request = index.getAll(itemId);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllWearLog() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('wearLog', 'readonly');
+            const store = tx.objectStore('wearLog');
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deleteWearEntry(id) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('wearLog', 'readwrite');
+            const store = tx.objectStore('wearLog');
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
     // ============ SETTINGS (localStorage) ============
 
     getSetting(key, defaultValue = null) {
-        const value = localStorage.getItem(`wardrobe_${key}`);
+        const value = localStorage.getItem(`${this.SETTINGS_PREFIX}${key}`);
         if (value === null) return defaultValue;
         try {
             return JSON.parse(value);
@@ -343,15 +814,16 @@ const Storage = {
 
     setSetting(key, value) {
         if (typeof value === 'object') {
-            localStorage.setItem(`wardrobe_${key}`, JSON.stringify(value));
+            localStorage.setItem(`${this.SETTINGS_PREFIX}${key}`, JSON.stringify(value));
         } else {
-            localStorage.setItem(`wardrobe_${key}`, value);
+            localStorage.setItem(`${this.SETTINGS_PREFIX}${key}`, value);
         }
     },
 
     // ============ EXPORT/IMPORT ============
 
-    async exportAllData() {
+    // Images are inlined as data URLs for JSON backups, or left as Blobs for ZIP backups
+    async exportAllData({ inlineImages = true } = {}) {
         const data = {
             version: 1,
             exportDate: new Date().toISOString(),
@@ -361,71 +833,89 @@ const Storage = {
             savedOutfits: await this.getAllSavedOutfits(),
             customSections: await this.getAllCustomSections(),
             shoppingList: await this.getAllShoppingItems(),
+            wearLog: await this.getAllWearLog(),
+            trips: await this.getAllTrips(),
             settings: {
                 userName: this.getSetting('userName'),
                 theme: this.getSetting('theme'),
                 location: this.getSetting('location'),
+                savedLocations: this.getSetting('savedLocations'),
                 tempUnit: this.getSetting('tempUnit')
             }
         };
 
-        // Get all images
-        const items = data.items;
-        for (const item of items) {
-            if (item.imageId) {
-                const imageData = await this.getImage(item.imageId);
-                if (imageData) {
-                    data.images.push({ id: item.imageId, data: imageData });
-                }
+        // Get the photos of wardrobe items and shopping list entries
+        const imageIds = new Set([...data.items, ...data.shoppingList].map(r => r.imageId).filter(Boolean));
+        for (const imageId of imageIds) {
+            const blob = await this.getImage(imageId);
+            if (blob) {
+                const imageData = inlineImages ? await Images.blobToDataUrl(blob) : blob;
+                data.images.push({ id: imageId, data: imageData });
             }
         }
 
         return data;
     },
 
+    // Replace everything with a backup. It is checked against Schema first, and all
+    // records are written in one transaction, so a bad file leaves the wardrobe untouched
     async importAllData(data) {
-        if (!data || data.version !== 1) {
-            throw new Error('Invalid data format');
+        const report = Schema.validate(data);
+        if (!report.ok) {
+            throw new Error(`This backup can't be imported: ${report.errors[0]}`);
         }
 
-        // Clear existing data
-        await this.clearAllData();
+        // Backups from older versions still use numeric IDs
+        Ids.rewrite(data);
 
-        // Import images first
+        // Photos are cleaned before the transaction, since it can't wait on other work
+        const images = [];
         for (const img of data.images || []) {
-            await this.saveImage(img.id, img.data);
-        }
-
-        // Import items
-        for (const item of data.items || []) {
-            await this.saveItem(item);
-        }
-
-        // Import weekly plan
-        for (const day of data.weeklyPlan || []) {
-            await this.saveWeeklyDay(day);
-        }
-
-        // Import saved outfits
-        for (const outfit of data.savedOutfits || []) {
-            await this.saveOutfit(outfit);
+            const blob = await Images.sanitize(Images.toBlob(img.data));
+            images.push({ id: img.id, blob, thumb: null, type: blob.type });
         }
 
-        // Import custom sections
-        for (const section of data.customSections || []) {
-            await this.saveCustomSection(section);
-        }
+        const imageIds = new Set(images.map(img => img.id));
+        const itemIds = new Set((data.items || []).map(item => item.id));
+        const categories = new Set((data.customSections || []).map(s => `custom-${s.id}`));
+        const knownItems = (ids) => ids.filter(id => itemIds.has(id));
 
-        // Import shopping list
-        for (const item of data.shoppingList || []) {
-            await this.saveShoppingItem(item);
+        const changes = {};
+        for (const storeName of this.ALL_STORES) {
+            changes[storeName] = { clear: true, put: [] };
         }
 
-        // Import settings
+        changes.images.put = images;
+        changes.customSections.put = data.customSections || [];
+        changes.items.put = (data.items || []).map(item => {
+            if (item.category.startsWith('custom-') && !categories.has(item.category)) {
+                item.category = 'other';
+            }
+            return this.normalizeItem(item);
+        });
+        changes.weeklyPlan.put = (data.weeklyPlan || []).map(day => ({ ...day, items: knownItems(day.items) }));
+        changes.savedOutfits.put = (data.savedOutfits || []).map(outfit => ({ ...outfit, items: knownItems(outfit.items) }));
+        changes.shoppingList.put = (data.shoppingList || []).map(entry => ({
+            ...entry,
+            imageId: imageIds.has(entry.imageId) ? entry.imageId : null
+        }));
+        changes.wearLog.put = (data.wearLog || [])
+            .map(entry => ({ ...entry, itemIds: knownItems(entry.itemIds) }))
+            .filter(entry => entry.itemIds.length > 0);
+        changes.trips.put = (data.trips || []).map(trip => ({
+            ...trip,
+            days: trip.days.map(day => ({ ...day, items: knownItems(day.items) })),
+            packed: knownItems(trip.packed || [])
+        }));
+
+        await this.writeStores(changes);
+
+        // Settings only change once the records are in
         if (data.settings) {
             if (data.settings.userName) this.setSetting('userName', data.settings.userName);
             if (data.settings.theme) this.setSetting('theme', data.settings.theme);
             if (data.settings.location) this.setSetting('location', data.settings.location);
+            if (data.settings.savedLocations) this.setSetting('savedLocations', data.settings.savedLocations);
             if (data.settings.tempUnit) this.setSetting('tempUnit', data.settings.tempUnit);
         }
 
@@ -433,8 +923,7 @@ const Storage = {
     },
 
     async clearAllData() {
-        const stores = ['items', 'images', 'weeklyPlan', 'savedOutfits', 'customSections', 'shoppingList', 'trash'];
-        for (const storeName of stores) {
+        for (const storeName of this.ALL_STORES) {
             await new Promise((resolve, reject) => {
                 const tx = this.db.transaction(storeName, 'readwrite');
                 const store = tx.objectStore(storeName);
@@ -447,12 +936,12 @@ const Storage = {
 
     // Check if this is first run (no data migrated yet)
     isFirstRun() {
-        return !localStorage.getItem('wardrobe_migrated');
+        return !localStorage.getItem(`${this.SETTINGS_PREFIX}migrated`);
     },
 
     setMigrated() {
-        localStorage.setItem('wardrobe_migrated', 'true');
-        localStorage.setItem('wardrobe_migratedDate', new Date().toISOString());
+        localStorage.setItem(`${this.SETTINGS_PREFIX}migrated`, 'true');
+        localStorage.setItem(`${this.SETTINGS_PREFIX}migratedDate`, new Date().toISOString());
     }
 };
 
@@ -0,0 +1,546 @@
+/**
+ * Store Module - In-memory state in front of Storage, plus a change event bus
+ * Every mutation writes through to IndexedDB, updates the cached slice and
+ * emits a change event; views subscribe to the slices they render
+ */
+
+const Store = {
+    // Cached records per slice, keyed by their IndexedDB key
+    state: {
+        items: new Map(),
+        trash: new Map(),
+        customSections: new Map(),
+        weeklyPlan: new Map(),
+        savedOutfits: new Map(),
+        shoppingList: new Map(),
+        trips: new Map(),
+        builder: []
+    },
+
+    // Slice name (or '*') -> Set of handlers
+    listeners: new Map(),
+
+    // Called with (slice, key, before, after) for every record a mutation changes;
+    // the undo journal uses it to collect the changes made by one action
+    recorder: null,
+
+    DEFAULT_WEEK: [
+        { day: 'Monday', type: 'Business Casual', items: [], notes: '' },
+        { day: 'Tuesday', type: 'Client Day', items: [], notes: '' },
+        { day: 'Wednesday', type: 'Client Day', items: [], notes: '' },
+        { day: 'Thursday', type: 'Client Day', items: [], notes: '' },
+        { day: 'Friday', type: 'Casual Friday', items: [], notes: '' }
+    ],
+
+    // ============ EVENTS ============
+
+    // Subscribe to changes of one slice, or of every slice with '*'.
+    // Handlers receive { slice, type: 'add' | 'update' | 'remove' | 'reset', ids },
+    // plus remote: true when the change came from another window
+    on(slice, handler) {
+        if (!this.listeners.has(slice)) this.listeners.set(slice, new Set());
+        this.listeners.get(slice).add(handler);
+        return () => this.off(slice, handler);
+    },
+
+    off(slice, handler) {
+        this.listeners.get(slice)?.delete(handler);
+    },
+
+    emit(slice, type, ids = [], meta = {}) {
+        const change = { slice, type, ids, ...meta };
+        const handlers = [...(this.listeners.get(slice) || []), ...(this.listeners.get('*') || [])];
+
+        for (const handler of handlers) {
+            try {
+                handler(change);
+            } catch (err) {
+                console.error(`Store listener for "${slice}" failed:`, err);
+            }
+        }
+    },
+
+    // ============ LOADING ============
+
+    // Read every slice from IndexedDB and tell all views to redraw
+    async load() {
+        const [items, trash, sections, weeklyPlan, outfits, shopping, trips] = await Promise.all([
+            Storage.getAllItems(),
+            Storage.getAllTrash(),
+            Storage.getAllCustomSections(),
+            Storage.getWeeklyPlan(),
+            Storage.getAllSavedOutfits(),
+            Storage.getAllShoppingItems(),
+            Storage.getAllTrips()
+        ]);
+
+        // First run without a plan: start with the default work week
+        if (weeklyPlan.length === 0) {
+            for (const day of this.DEFAULT_WEEK) {
+                const record = Storage.touch(structuredClone(day));
+                await Storage.putRecord('weeklyPlan', record);
+                weeklyPlan.push(record);
+            }
+        }
+
+        this.state.items = new Map(items.map(i => [i.id, i]));
+        this.state.trash = new Map(trash.map(i => [i.id, i]));
+        this.state.customSections = new Map(sections.map(s => [s.id, s]));
+        this.state.weeklyPlan = new Map(weeklyPlan.map(d => [d.day, d]));
+        this.state.savedOutfits = new Map(outfits.map(o => [o.id, o]));
+        this.state.shoppingList = new Map(shopping.map(s => [s.id, s]));
+        this.state.trips = new Map(trips.map(t => [t.id, t]));
+
+        // Drop builder items that no longer exist
+        this.state.builder = this.state.builder.filter(id => this.state.items.has(id));
+
+        // Other windows have their own copy already, so this isn't broadcast
+        for (const slice of Object.keys(this.state)) {
+            this.emit(slice, 'reset', [], { broadcast: false });
+        }
+    },
+
+    // Slices cached from IndexedDB, and the store-specific key of each record
+    SLICE_KEYS: {
+        items: 'id',
+        trash: 'id',
+        customSections: 'id',
+        weeklyPlan: 'day',
+        savedOutfits: 'id',
+        shoppingList: 'id',
+        trips: 'id'
+    },
+
+    // Re-read records another window changed and redraw the views showing them
+    async applyRemote({ slice, type, ids }) {
+        const cache = this.state[slice];
+        const key = this.SLICE_KEYS[slice];
+
+        if (cache instanceof Map) {
+            if (type === 'reset') {
+                const records = await Storage.getAllRecords(slice);
+                this.state[slice] = new Map(records.map(r => [r[key], r]));
+            } else {
+                for (const id of ids) {
+                    const record = await Storage.getRecord(slice, id);
+                    if (record) {
+                        cache.set(id, record);
+                    } else {
+                        cache.delete(id);
+                    }
+                }
+            }
+        }
+
+        if (slice === 'items') {
+            this.removeFromBuilder(ids.filter(id => !this.state.items.has(id)));
+        }
+
+        this.emit(slice, type, ids, { remote: true });
+    },
+
+    // Run a write; when another window saved a newer version first, load that
+    // version so the views show it, then let the caller report the error
+    async write(slice, save) {
+        try {
+            return await save();
+        } catch (err) {
+            if (err.name === 'StaleWriteError') {
+                await this.applyRemote({ slice, type: 'update', ids: [err.key] });
+            }
+            throw err;
+        }
+    },
+
+    // Report a record change to the recorder; null means "did not exist"
+    record(slice, key, before, after) {
+        this.recorder?.(slice, key, before ?? null, after ?? null);
+    },
+
+    // Put a record back exactly as a snapshot had it, or delete it when the
+    // snapshot is null. Used by undo and redo, so nothing is recorded
+    async restoreSnapshot(slice, key, snapshot) {
+        if (slice === 'builder') {
+            this.state.builder = [...snapshot];
+            this.emit('builder', 'update');
+            return;
+        }
+
+        // Photos aren't cached or timestamped; only their object URLs need letting go
+        if (slice === 'images') {
+            if (snapshot) {
+                await Storage.putRecord('images', snapshot);
+            } else {
+                await Storage.deleteRecord('images', key);
+            }
+            Images.forget(key);
+            return;
+        }
+
+        const cache = this.state[slice];
+        const existed = cache instanceof Map && cache.has(key);
+
+        if (snapshot) {
+            const record = Storage.touch(structuredClone(snapshot));
+            await Storage.putRecord(slice, record);
+            if (cache instanceof Map) cache.set(key, record);
+            this.emit(slice, existed ? 'update' : 'add', [key]);
+        } else {
+            await Storage.deleteRecord(slice, key);
+            if (cache instanceof Map) cache.delete(key);
+            if (slice === 'items') this.removeFromBuilder([key]);
+            this.emit(slice, 'remove', [key]);
+        }
+    },
+
+    // ============ READS ============
+    // List getters return the cached records for rendering; single-record
+    // getters return a copy that callers may change and pass back to a save method
+
+    getItems() {
+        return [...this.state.items.values()];
+    },
+
+    getItem(id) {
+        const item = this.state.items.get(id);
+        return item ? structuredClone(item) : null;
+    },
+
+    getTrash() {
+        return [...this.state.trash.values()];
+    },
+
+    getSections() {
+        return [...this.state.customSections.values()];
+    },
+
+    getSection(id) {
+        const section = this.state.customSections.get(id);
+        return section ? structuredClone(section) : null;
+    },
+
+    getWeeklyPlan() {
+        return [...this.state.weeklyPlan.values()];
+    },
+
+    getWeeklyDay(day) {
+        const dayPlan = this.state.weeklyPlan.get(day);
+        return dayPlan ? structuredClone(dayPlan) : null;
+    },
+
+    getSavedOutfits() {
+        return [...this.state.savedOutfits.values()];
+    },
+
+    getSavedOutfit(id) {
+        const outfit = this.state.savedOutfits.get(id);
+        return outfit ? structuredClone(outfit) : null;
+    },
+
+    getShoppingList() {
+        return [...this.state.shoppingList.values()];
+    },
+
+    // Trips in date order, soonest first
+    getTrips() {
+        return [...this.state.trips.values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    },
+
+    getTrip(id) {
+        const trip = this.state.trips.get(id);
+        return trip ? structuredClone(trip) : null;
+    },
+
+    getBuilder() {
+        return [...this.state.builder];
+    },
+
+    // ============ ITEMS ============
+
+    async saveItem(item) {
+        item.id ??= Ids.generate();
+        const before = this.state.items.get(item.id);
+        const type = before ? 'update' : 'add';
+        item.id = await this.write('items', () => Storage.saveItem(item));
+
+        this.record('items', item.id, before, item);
+        this.state.items.set(item.id, item);
+        this.emit('items', type, [item.id]);
+    },
+
+    // ============ IMAGES ============
+    // Photos aren't cached, but new and deleted ones are recorded so undo can
+    // delete or put them back
+
+    async saveImage(id, blob, thumb) {
+        await Storage.saveImage(id, blob, thumb);
+        this.record('images', id, null, await Storage.getRecord('images', id));
+    },
+
+    async deleteImage(id) {
+        const before = await Storage.getRecord('images', id);
+        if (!before) return;
+
+        await Storage.deleteRecord('images', id);
+        this.record('images', id, before, null);
+        Images.forget(id);
+    },
+
+    // ============ TRASH ============
+    // Trash entries carry a kind naming the slice they came from; entries
+    // from older versions have none and are always wardrobe items
+
+    TRASH_KINDS: {
+        item: 'items',
+        outfit: 'savedOutfits',
+        shopping: 'shoppingList'
+    },
+
+    trashKind(entry) {
+        return entry.kind || 'item';
+    },
+
+    // Move records of one kind to the trash, remembering where items came from
+    async moveToTrash(kind, ids) {
+        const slice = this.TRASH_KINDS[kind];
+        const trashed = [];
+
+        for (const id of ids) {
+            const original = this.state[slice].get(id);
+            if (!original) continue;
+
+            const record = {
+                ...structuredClone(original),
+                kind,
+                deletedDate: new Date().toISOString()
+            };
+            if (kind === 'item') {
+                record.deleted = true;
+                record.originalCategory = original.category;
+            }
+
+            await Storage.saveToTrash(record);
+            await Storage.deleteRecord(slice, id);
+
+            this.record(slice, id, original, null);
+            this.record('trash', id, null, record);
+            this.state[slice].delete(id);
+            this.state.trash.set(id, record);
+            trashed.push(id);
+        }
+
+        if (trashed.length === 0) return;
+
+        if (kind === 'item') this.removeFromBuilder(trashed);
+        this.emit(slice, 'remove', trashed);
+        this.emit('trash', 'add', trashed);
+    },
+
+    async trashItems(ids) {
+        await this.moveToTrash('item', ids);
+    },
+
+    // Put a trash entry back where it came from. Items go to their original
+    // category unless one is given
+    async restoreFromTrash(id, category = null) {
+        const entry = await Storage.restoreFromTrash(id);
+        this.record('trash', id, entry, null);
+        this.state.trash.delete(id);
+        this.emit('trash', 'remove', [id]);
+
+        if (!entry) return null;
+
+        const kind = this.trashKind(entry);
+        const record = { ...entry };
+        delete record.kind;
+        delete record.deletedDate;
+
+        if (kind === 'outfit') {
+            await this.saveOutfit(record);
+        } else if (kind === 'shopping') {
+            await this.saveShoppingItem(record);
+        } else {
+            record.deleted = false;
+            record.category = category || entry.originalCategory || 'other';
+            delete record.originalCategory;
+            await this.saveItem(record);
+        }
+        return record;
+    },
+
+    // Permanently delete trash entries along with their photos; returns the deleted entries
+    async purgeTrash(ids) {
+        const purged = ids.map(id => this.state.trash.get(id)).filter(Boolean);
+        if (purged.length === 0) return [];
+
+        const purgedIds = purged.map(entry => entry.id);
+        await Storage.purgeTrash(purgedIds);
+
+        purgedIds.forEach(id => this.state.trash.delete(id));
+        this.emit('trash', 'remove', purgedIds);
+        return purged;
+    },
+
+    async emptyTrash() {
+        const ids = [...this.state.trash.keys()];
+        await Storage.emptyTrash();
+
+        this.state.trash.clear();
+        this.emit('trash', 'remove', ids);
+    },
+
+    // Purge entries deleted more than `days` days ago (0 keeps them forever).
+    // Entries from versions that didn't date deletions start their clock now
+    async purgeExpiredTrash(days) {
+        if (!days) return [];
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = [];
+
+        for (const entry of this.state.trash.values()) {
+            if (!entry.deletedDate) {
+                entry.deletedDate = new Date().toISOString();
+                await Storage.saveToTrash(entry);
+            } else if (Date.parse(entry.deletedDate) < cutoff) {
+                expired.push(entry.id);
+            }
+        }
+
+        return this.purgeTrash(expired);
+    },
+
+    // ============ CUSTOM SECTIONS ============
+
+    async saveSection(section) {
+        section.id ??= Ids.generate();
+        const before = this.state.customSections.get(section.id);
+        const type = before ? 'update' : 'add';
+        section.id = await this.write('customSections', () => Storage.saveCustomSection(section));
+
+        this.record('customSections', section.id, before, section);
+        this.state.customSections.set(section.id, section);
+        this.emit('customSections', type, [section.id]);
+        return section.id;
+    },
+
+    // Delete a section; its items go to the trash
+    async deleteSection(id) {
+        const category = `custom-${id}`;
+        const itemIds = this.getItems().filter(i => i.category === category).map(i => i.id);
+
+        await this.trashItems(itemIds);
+        await Storage.deleteCustomSection(id);
+
+        this.record('customSections', id, this.state.customSections.get(id), null);
+        this.state.customSections.delete(id);
+        this.emit('customSections', 'remove', [id]);
+    },
+
+    // ============ WEEKLY PLAN ============
+
+    async saveWeeklyDay(dayPlan) {
+        await this.write('weeklyPlan', () => Storage.saveWeeklyDay(dayPlan));
+
+        this.record('weeklyPlan', dayPlan.day, this.state.weeklyPlan.get(dayPlan.day), dayPlan);
+        this.state.weeklyPlan.set(dayPlan.day, dayPlan);
+        this.emit('weeklyPlan', 'update', [dayPlan.day]);
+    },
+
+    // ============ OUTFIT BUILDER ============
+
+    setBuilder(itemIds) {
+        this.record('builder', null, this.state.builder, [...itemIds]);
+        this.state.builder = [...itemIds];
+        this.emit('builder', 'update');
+    },
+
+    removeFromBuilder(itemIds) {
+        const remaining = this.state.builder.filter(id => !itemIds.includes(id));
+        if (remaining.length !== this.state.builder.length) {
+            this.setBuilder(remaining);
+        }
+    },
+
+    // ============ SAVED OUTFITS ============
+
+    async saveOutfit(outfit) {
+        outfit.id ??= Ids.generate();
+        const before = this.state.savedOutfits.get(outfit.id);
+        const type = before ? 'update' : 'add';
+        outfit.id = await this.write('savedOutfits', () => Storage.saveOutfit(outfit));
+
+        this.record('savedOutfits', outfit.id, before, outfit);
+        this.state.savedOutfits.set(outfit.id, outfit);
+        this.emit('savedOutfits', type, [outfit.id]);
+        return outfit.id;
+    },
+
+    async deleteOutfit(id) {
+        await this.moveToTrash('outfit', [id]);
+    },
+
+    // ============ SHOPPING LIST ============
+
+    async saveShoppingItem(item) {
+        item.id ??= Ids.generate();
+        const before = this.state.shoppingList.get(item.id);
+        const type = before ? 'update' : 'add';
+        item.id = await this.write('shoppingList', () => Storage.saveShoppingItem(item));
+
+        this.record('shoppingList', item.id, before, item);
+        this.state.shoppingList.set(item.id, item);
+        this.emit('shoppingList', type, [item.id]);
+        return item.id;
+    },
+
+    async deleteShoppingItem(id) {
+        await this.moveToTrash('shopping', [id]);
+    },
+
+    // ============ TRIPS ============
+
+    async saveTrip(trip) {
+        trip.id ??= Ids.generate();
+        const before = this.state.trips.get(trip.id);
+        const type = before ? 'update' : 'add';
+        trip.id = await this.write('trips', () => Storage.saveTrip(trip));
+
+        this.record('trips', trip.id, before, trip);
+        this.state.trips.set(trip.id, trip);
+        this.emit('trips', type, [trip.id]);
+        return trip.id;
+    },
+
+    // Trips don't go to the trash; undo brings a deleted one back
+    async deleteTrip(id) {
+        await Storage.deleteTrip(id);
+
+        this.record('trips', id, this.state.trips.get(id), null);
+        this.state.trips.delete(id);
+        this.emit('trips', 'remove', [id]);
+    },
+
+    // ============ WEAR LOG ============
+    // The wear log is read on demand, so only the events go through the store
+
+    async saveWearEntry(entry) {
+        const before = entry.id == null ? null : await Storage.getRecord('wearLog', entry.id);
+        entry.id ??= Ids.generate();
+        entry.id = await Storage.addWearEntry(entry);
+
+        this.record('wearLog', entry.id, before, entry);
+        this.emit('wearLog', before ? 'update' : 'add', [entry.id]);
+        return entry.id;
+    },
+
+    async deleteWearEntry(id) {
+        const before = await Storage.getRecord('wearLog', id);
+        await Storage.deleteWearEntry(id);
+
+        this.record('wearLog', id, before, null);
+        this.emit('wearLog', 'remove', [id]);
+    }
+};
+
+// Export for use in other modules
+window.Store = Store;
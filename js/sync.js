@@ -0,0 +1,85 @@
+/**
+ * Sync Module - Keeps every open window of the app in step
+ * Store changes are broadcast to other tabs and the installed PWA, which
+ * re-read the affected records and redraw their views
+ */
+
+const Sync = {
+    CHANNEL_NAME: 'wardrobe-studio-sync',
+    channel: null,
+
+    // Identifies this window so it ignores its own messages
+    instanceId: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+
+    // The builder is a per-window scratch area, so it isn't shared
+    LOCAL_SLICES: ['builder'],
+
+    init() {
+        Storage.onVersionChange = () => this.handleVersionChange();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel not supported; open windows will not sync');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.channelName(Storage.DB_NAME));
+        this.channel.onmessage = (e) => this.receive(e.data);
+
+        Store.on('*', (change) => this.send(change));
+    },
+
+    // Each profile's database has its own channel, so windows only hear about their own data
+    channelName(dbName) {
+        return `${this.CHANNEL_NAME}:${dbName}`;
+    },
+
+    send(change) {
+        if (!this.channel || change.remote || change.broadcast === false) return;
+        if (this.LOCAL_SLICES.includes(change.slice)) return;
+
+        const { slice, type, ids } = change;
+        this.channel.postMessage({ source: this.instanceId, slice, type, ids });
+    },
+
+    async receive(message) {
+        if (!message || message.source === this.instanceId) return;
+
+        // Another window replaced all data (e.g. a backup import)
+        if (message.type === 'reload') {
+            window.location.reload();
+            return;
+        }
+
+        try {
+            await Store.applyRemote(message);
+        } catch (err) {
+            console.error('Failed to apply change from another window:', err);
+        }
+    },
+
+    // Ask every other window to reload, after their data was replaced wholesale
+    announceReload() {
+        this.channel?.postMessage({ source: this.instanceId, type: 'reload' });
+    },
+
+    // Tell windows showing another profile about records written into its database
+    announceTo(dbName, changes) {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        const channel = new BroadcastChannel(this.channelName(dbName));
+        for (const { slice, type, ids } of changes) {
+            if (ids.length > 0) channel.postMessage({ source: this.instanceId, slice, type, ids });
+        }
+        channel.close();
+    },
+
+    // A newer version of the app is upgrading the database in another window.
+    // Storage has already closed the connection; reload to pick up the new version
+    handleVersionChange() {
+        UI.showToast('Wardrobe Studio was updated in another window. Reloading…', 5000);
+        setTimeout(() => window.location.reload(), 1500);
+    }
+};
+
+// Export for use in other modules
+window.Sync = Sync;
@@ -0,0 +1,85 @@
+/**
+ * Trips Module - Day-by-day outfits for travel
+ * A trip has a destination, a date range and planned activities. Each day
+ * gets one outfit for the destination's forecast, preferring pieces already
+ * worn on other days, and the packing list is every planned piece once
+ */
+
+const Trips = {
+    // Longest trip that can be planned, in days
+    MAX_DAYS: 30,
+
+    // ============ DATES ============
+
+    // Every date from start to end as 'YYYY-MM-DD', at most MAX_DAYS of them
+    dateRange(startDate, endDate) {
+        const dates = [];
+        // Noon UTC keeps daylight saving changes from skipping or repeating a date
+        const day = new Date(`${startDate}T12:00:00Z`);
+        const last = new Date(`${endDate}T12:00:00Z`);
+
+        while (day <= last && dates.length < this.MAX_DAYS) {
+            dates.push(day.toISOString().slice(0, 10));
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        return dates;
+    },
+
+    // One day per date, keeping what was already planned for dates still in the trip
+    buildDays(startDate, endDate, previousDays = []) {
+        const previous = new Map(previousDays.map(d => [d.date, d]));
+        return this.dateRange(startDate, endDate)
+            .map(date => previous.get(date) || { date, activity: '', items: [] });
+    },
+
+    // 'Mon, Jun 3'
+    formatDay(date) {
+        return new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    },
+
+    formatRange(trip) {
+        const days = trip.days.length;
+        return `${this.formatDay(trip.startDate)} – ${this.formatDay(trip.endDate)} · ${days} day${days === 1 ? '' : 's'}`;
+    },
+
+    // "hiking, dinner out" -> ['hiking', 'dinner out']
+    parseActivities(text) {
+        return [...new Set(text.split(',').map(a => a.trim()).filter(Boolean))];
+    },
+
+    // ============ PLANNING ============
+
+    // An outfit for one day as item IDs, or null when the day has no forecast
+    // or the wardrobe can't make an outfit. Pieces planned on the trip's
+    // other days are preferred, so they can be worn again
+    planDay(trip, date, weatherData, items) {
+        const conditions = Generator.getDayConditions(Weather.getForecastForDate(weatherData, date));
+        if (!conditions) return null;
+
+        const prefer = new Set(trip.days.filter(d => d.date !== date).flatMap(d => d.items));
+        const [best] = Generator.generate(items, conditions, { prefer });
+        return best ? best.items : null;
+    },
+
+    // ============ PACKING ============
+
+    // Every piece planned for the trip once, as { item, dates }, grouped by category
+    packingList(trip, itemsById) {
+        const entries = new Map();
+
+        for (const day of trip.days) {
+            for (const id of day.items) {
+                const item = itemsById.get(id);
+                if (!item) continue;
+
+                if (!entries.has(id)) entries.set(id, { item, dates: [] });
+                entries.get(id).dates.push(day.date);
+            }
+        }
+
+        return [...entries.values()].sort((a, b) => a.item.category.localeCompare(b.item.category));
+    }
+};
+
+// Export for use in other modules
+window.Trips = Trips;
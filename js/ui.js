@@ -3,19 +3,132 @@
  */
 
 const UI = {
-    // Show a toast notification
-    showToast(message, duration = 3000) {
+    toastTimer: null,
+
+    // Show a toast notification, optionally with one action button ({ label, onClick })
+    showToast(message, duration = 3000, action = null) {
         const toast = document.getElementById('toast');
         if (!toast) return;
 
         toast.textContent = message;
+        if (action) this.addToastAction(toast, action);
         toast.classList.add('show');
 
-        setTimeout(() => {
+        // A new toast replaces the previous one, including its timer
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
             toast.classList.remove('show');
         }, duration);
     },
 
+    addToastAction(toast, { label, onClick }) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            toast.classList.remove('show');
+            onClick();
+        });
+        toast.appendChild(button);
+    },
+
+    // Add an Undo button to the toast the action just showed, or show one for silent actions
+    offerUndo(label) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+
+        const undo = { label: 'Undo', onClick: () => Journal.undo() };
+        const message = toast.classList.contains('show') && !toast.querySelector('.toast-action')
+            ? toast.textContent
+            : label;
+
+        this.showToast(message, 5000, undo);
+    },
+
+    // Escape user-entered text before inserting it into HTML
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Human-readable byte size, e.g. "2.4 MB"
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+    },
+
+    // Keep the upload quality label in settings in sync with its slider
+    updateQualityLabel() {
+        const slider = document.getElementById('settings-upload-quality');
+        const label = document.getElementById('settings-upload-quality-value');
+        if (slider && label) label.textContent = `${slider.value}%`;
+    },
+
+    // ============ STORE SUBSCRIPTIONS ============
+
+    // Views that need a redraw, flushed together after the current action
+    pendingViews: new Set(),
+    flushTimer: null,
+
+    // Redraw each view when a slice it shows changes. Several changes from one
+    // action (e.g. an item moving to the trash) draw each view only once
+    bindStore() {
+        const views = {
+            wardrobe: () => this.renderWardrobe(),
+            weekly: () => this.renderWeeklyOutfits(),
+            palette: () => this.renderBuilderPalette(),
+            canvas: () => this.renderBuilderCanvas(),
+            saved: () => this.renderSavedOutfits(),
+            shopping: () => this.renderShoppingList(),
+            trips: () => this.renderTrips(),
+            wearHistory: () => App.currentDetailItemId != null && this.renderWearHistory(App.currentDetailItemId)
+        };
+
+        const subscriptions = {
+            items: ['wardrobe', 'weekly', 'palette', 'canvas', 'trips'],
+            trash: ['wardrobe'],
+            customSections: ['wardrobe'],
+            weeklyPlan: ['weekly'],
+            builder: ['canvas'],
+            savedOutfits: ['saved'],
+            shoppingList: ['shopping'],
+            trips: ['trips'],
+            wearLog: ['wearHistory']
+        };
+
+        for (const [slice, names] of Object.entries(subscriptions)) {
+            Store.on(slice, () => {
+                names.forEach(name => this.pendingViews.add(name));
+                clearTimeout(this.flushTimer);
+                this.flushTimer = setTimeout(() => this.flushViews(views), 0);
+            });
+        }
+    },
+
+    async flushViews(views) {
+        const names = [...this.pendingViews];
+        this.pendingViews.clear();
+
+        for (const name of names) {
+            try {
+                await views[name]();
+            } catch (err) {
+                console.error(`Failed to render ${name}:`, err);
+            }
+        }
+    },
+
     // Update greeting based on time of day
     updateGreeting() {
         const hour = new Date().getHours();
@@ -25,7 +138,7 @@ const UI = {
         else if (hour < 17) greeting = 'Good afternoon';
         else greeting = 'Good evening';
 
-        const userName = Storage.getSetting('userName', 'Emily');
+        const userName = this.escapeHtml(Profiles.activeName());
         const greetingEl = document.getElementById('greeting');
 
         if (greetingEl) {
@@ -65,7 +178,7 @@ const UI = {
                     <div class="weather-desc">${weatherInfo.desc}</div>
                     <div class="weather-location">
                         <span>📍</span>
-                        <span>${location.name}</span>
+                        ${this.locationSwitcher(location)}
                     </div>
                 </div>
             `;
@@ -82,9 +195,14 @@ const UI = {
                 }
             }
 
+            this.renderHourlyStrip(weatherData);
+
             // Store weather data for use by outfit suggestions
             window.currentWeather = weatherData;
 
+            // Weekly cards show each day's forecast
+            await this.renderWeeklyOutfits();
+
         } catch (err) {
             console.error('Weather render error:', err);
             widget.innerHTML = `
@@ -96,35 +214,75 @@ const UI = {
         }
     },
 
+    // The place name in the weather widget, or a dropdown of saved places to switch between
+    locationSwitcher(location) {
+        const saved = Weather.getSavedLocations();
+        if (saved.length === 0) return `<span>${this.escapeHtml(location.name)}</span>`;
+
+        const current = saved.find(l => Weather.isSameLocation(l, location));
+        const options = saved.map(l => `
+            <option value="${l.id}" ${l === current ? 'selected' : ''}>${this.escapeHtml(l.label)}</option>
+        `).join('');
+
+        return `
+            <select class="weather-location-select" onclick="event.stopPropagation()" onchange="App.switchLocation(this.value)" title="Switch location">
+                ${current ? '' : `<option value="" selected>${this.escapeHtml(location.name)}</option>`}
+                ${options}
+            </select>
+        `;
+    },
+
+    // Compact strip of the next hours under the weather widget; hours inside
+    // the time-outside windows are highlighted
+    renderHourlyStrip(weatherData) {
+        const strip = document.getElementById('weatherHourly');
+        if (!strip) return;
+
+        const windows = Weather.getOutdoorWindows();
+        strip.innerHTML = Weather.getNextHours(weatherData).map(hour => `
+            <div class="hourly-cell${Weather.isInWindow(hour.time, windows) ? ' outside' : ''}" title="${Weather.getWeatherInfo(hour.code).desc}">
+                <span class="hourly-time">${Weather.formatHour(hour.time)}</span>
+                <span>${Weather.getWeatherInfo(hour.code).icon}</span>
+                <span class="hourly-temp">${Weather.formatTemp(hour.temp)}</span>
+                ${hour.precipChance >= 20 ? `<span class="hourly-rain">💧${hour.precipChance}%</span>` : ''}
+            </div>
+        `).join('');
+    },
+
     // Render the entire wardrobe
     async renderWardrobe() {
-        const items = await Storage.getAllItems();
-        const trash = await Storage.getAllTrash();
-        const customSections = await Storage.getAllCustomSections();
-
-        // Group items by category
-        const categories = {
-            tops: items.filter(i => i.category === 'tops' && !i.deleted),
-            bottoms: items.filter(i => i.category === 'bottoms' && !i.deleted),
-            outerwear: items.filter(i => i.category === 'outerwear' && !i.deleted),
-            other: items.filter(i => i.category === 'other' && !i.deleted)
-        };
+        const items = Store.getItems();
+        const trash = Store.getTrash();
+        const customSections = Store.getSections();
+
+        // Apply the search and filter bar to every grid except the trash
+        const active = items.filter(i => !i.deleted);
+        const visible = Filters.apply(active);
+        this.renderFilterSummary(visible.length, active.length);
+        Filters.updateColorOptions(items);
+
+        // Group items by category in a single pass
+        const byCategory = new Map();
+        for (const item of visible) {
+            if (!byCategory.has(item.category)) byCategory.set(item.category, []);
+            byCategory.get(item.category).push(item);
+        }
 
         // Render main category grids
-        for (const [category, categoryItems] of Object.entries(categories)) {
-            await this.renderGrid(`${category}-grid`, categoryItems);
+        for (const category of ['tops', 'bottoms', 'outerwear', 'other']) {
+            await this.renderGrid(`${category}-grid`, byCategory.get(category) || []);
         }
 
         // Render custom sections
-        await this.renderCustomSections(customSections);
+        await this.renderCustomSections(customSections, byCategory);
 
         // Render favorites
-        const favorites = items.filter(i => i.favorite && !i.deleted);
+        const favorites = visible.filter(i => i.favorite);
         await this.renderGrid('favorites-grid', favorites);
 
         // Render laundry
-        const laundry = items.filter(i => i.laundry && !i.deleted);
-        await this.renderGrid('laundry-grid', laundry, true);
+        const laundry = visible.filter(i => i.laundry);
+        await this.renderGrid('laundry-grid', laundry);
 
         // Render trash
         await this.renderTrash(trash);
@@ -133,113 +291,171 @@ const UI = {
         this.updateMoveModalCategories(customSections);
     },
 
-    // Render a single wardrobe grid
-    async renderGrid(gridId, items, isLaundry = false) {
-        const grid = document.getElementById(gridId);
-        if (!grid) return;
+    // Show how many items the filter bar lets through
+    renderFilterSummary(shown, total) {
+        const summary = document.getElementById('filter-summary');
+        if (!summary) return;
 
-        if (items.length === 0) {
-            grid.innerHTML = `<div class="empty-state">No items here yet</div>`;
-            return;
+        if (Filters.isActive()) {
+            summary.innerHTML = `Showing ${shown} of ${total} items · <button class="link-btn" onclick="Filters.clear()">Clear filters</button>`;
+        } else {
+            summary.textContent = `${total} items`;
         }
+    },
 
-        let html = '';
-        for (const item of items) {
-            const imgSrc = await Storage.getImage(item.imageId);
-            if (!imgSrc) continue;
+    // Render a single wardrobe grid; only tiles that changed are rebuilt
+    async renderGrid(gridId, items) {
+        const message = Filters.isActive() ? 'No matching items' : 'No items here yet';
 
-            const laundryClass = item.laundry ? 'in-laundry' : '';
-            const favClass = item.favorite ? 'active' : '';
+        await Grid.render(gridId, items, {
+            renderTile: (item, imgSrc) => this.wardrobeTile(item, imgSrc),
+            emptyHtml: `<div class="empty-state">${message}</div>`
+        });
+    },
 
-            html += `
-                <div class="wardrobe-item ${laundryClass}" draggable="true" data-id="${item.id}" data-category="${item.category}">
-                    <img src="${imgSrc}" alt="Wardrobe item" loading="lazy">
-                    <div class="item-actions">
-                        <button class="action-icon laundry" onclick="App.toggleLaundry(${item.id})" title="${item.laundry ? 'Remove from laundry' : 'Add to laundry'}">
-                            ${item.laundry ? '✓' : '🧺'}
-                        </button>
-                        <button class="action-icon favorite ${favClass}" onclick="App.toggleFavorite(${item.id})" title="${item.favorite ? 'Remove from favorites' : 'Add to favorites'}">
-                            ${item.favorite ? '★' : '☆'}
-                        </button>
-                        <button class="action-icon move" onclick="App.openMoveModal(${item.id})" title="Move to section">
-                            📁
-                        </button>
-                        <button class="action-icon delete" onclick="App.deleteItem(${item.id})" title="Delete">
-                            🗑️
-                        </button>
-                    </div>
-                    <button class="add-to-builder-btn" onclick="App.addToBuilder(${item.id})" title="Add to outfit builder">
-                        +
+    wardrobeTile(item, imgSrc) {
+        if (!imgSrc) return '';
+
+        const laundryClass = item.laundry ? 'in-laundry' : '';
+        const favClass = item.favorite ? 'active' : '';
+        const label = item.name ? this.escapeHtml(item.name) : 'Wardrobe item';
+
+        return `
+            <div class="wardrobe-item ${laundryClass}" draggable="true" data-id="${item.id}" data-category="${item.category}">
+                <img src="${imgSrc}" alt="${label}" title="${label}" loading="lazy" onclick="App.openItemDetail('${item.id}')">
+                ${item.name ? `<div class="item-caption">${label}</div>` : ''}
+                <div class="item-actions">
+                    <button class="action-icon details" onclick="App.openItemDetail('${item.id}')" title="Edit details">
+                        ✏️
+                    </button>
+                    <button class="action-icon laundry" onclick="App.toggleLaundry('${item.id}')" title="${item.laundry ? 'Remove from laundry' : 'Add to laundry'}">
+                        ${item.laundry ? '✓' : '🧺'}
+                    </button>
+                    <button class="action-icon wear" onclick="App.wearItem('${item.id}')" title="Wore it today">
+                        👕
+                    </button>
+                    <button class="action-icon favorite ${favClass}" onclick="App.toggleFavorite('${item.id}')" title="${item.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+                        ${item.favorite ? '★' : '☆'}
+                    </button>
+                    <button class="action-icon move" onclick="App.openMoveModal('${item.id}')" title="Move to section">
+                        📁
+                    </button>
+                    <button class="action-icon delete" onclick="App.deleteItem('${item.id}')" title="Delete">
+                        🗑️
                     </button>
                 </div>
-            `;
-        }
-
-        grid.innerHTML = html;
+                <button class="add-to-builder-btn" onclick="App.addToBuilder('${item.id}')" title="Add to outfit builder">
+                    +
+                </button>
+            </div>
+        `;
     },
 
-    // Render custom sections
-    async renderCustomSections(sections) {
+    // Render custom sections from the items already grouped by category
+    async renderCustomSections(sections, byCategory) {
         const container = document.getElementById('custom-sections');
         if (!container) return;
 
-        let html = '';
-        for (const section of sections) {
-            html += `
-                <div class="wardrobe-section" data-section-id="${section.id}">
-                    <div class="section-header" data-category="custom-${section.id}">
-                        <h3 class="section-title" onclick="App.editSectionTitle(${section.id})">${section.name}</h3>
-                        <button class="btn btn-danger btn-sm" onclick="App.deleteSection(${section.id})">Delete Section</button>
+        // Only rebuild the section shells when sections were added, removed or renamed,
+        // so the grids inside keep their tiles
+        const signature = sections.map(s => `${s.id}:${s.name}`).join('|');
+        if (container.dataset.signature !== signature) {
+            container.querySelectorAll('.wardrobe-grid').forEach(grid => Grid.destroy(grid.id));
+
+            let html = '';
+            for (const section of sections) {
+                html += `
+                    <div class="wardrobe-section" data-section-id="${section.id}">
+                        <div class="section-header" data-category="custom-${section.id}">
+                            <h3 class="section-title" onclick="App.editSectionTitle('${section.id}')">${section.name}</h3>
+                            <button class="btn btn-danger btn-sm" onclick="App.deleteSection('${section.id}')">Delete Section</button>
+                        </div>
+                        <div class="wardrobe-grid" id="custom-${section.id}-grid"></div>
                     </div>
-                    <div class="wardrobe-grid" id="custom-${section.id}-grid"></div>
-                </div>
-            `;
-        }
+                `;
+            }
 
-        container.innerHTML = html;
+            container.innerHTML = html;
+            container.dataset.signature = signature;
+        }
 
         // Render items for each custom section
         for (const section of sections) {
-            const items = await Storage.getAllItems();
-            const sectionItems = items.filter(i => i.category === `custom-${section.id}` && !i.deleted);
-            await this.renderGrid(`custom-${section.id}-grid`, sectionItems);
+            await this.renderGrid(`custom-${section.id}-grid`, byCategory.get(`custom-${section.id}`) || []);
         }
     },
 
-    // Render trash
+    // Render trash: wardrobe items, saved outfits and shopping list entries
     async renderTrash(trashItems) {
-        const grid = document.getElementById('trash-grid');
         const emptyBtn = document.getElementById('empty-trash-btn');
 
-        if (!grid) return;
-
         if (emptyBtn) {
             emptyBtn.style.display = trashItems.length > 0 ? 'inline-flex' : 'none';
         }
 
-        if (trashItems.length === 0) {
-            grid.innerHTML = `<div class="empty-state">Trash is empty</div>`;
-            return;
+        const retentionDays = Storage.getSetting('trashRetentionDays', 30);
+        const hint = document.getElementById('trash-hint');
+        if (hint) {
+            hint.textContent = retentionDays
+                ? `Items are deleted permanently ${retentionDays} days after they were moved to the trash.`
+                : 'Items stay in the trash until you delete them.';
         }
 
-        let html = '';
-        for (const item of trashItems) {
-            const imgSrc = await Storage.getImage(item.imageId);
-            if (!imgSrc) continue;
+        await Grid.render('trash-grid', trashItems, {
+            imageOf: (entry) => this.trashImageId(entry),
+            renderTile: (entry, imgSrc) => this.trashTile(entry, imgSrc, retentionDays),
+            emptyHtml: `<div class="empty-state">Trash is empty</div>`
+        });
+    },
 
-            html += `
-                <div class="wardrobe-item" draggable="true" data-id="${item.id}" data-from-trash="true">
-                    <img src="${imgSrc}" alt="Deleted item" loading="lazy">
-                    <div class="item-actions">
-                        <button class="action-icon" onclick="App.restoreItem(${item.id})" title="Restore" style="color: var(--success);">
-                            ↩️
-                        </button>
-                    </div>
-                </div>
-            `;
+    // Outfits have no photo of their own, so show their first item that still has one
+    trashImageId(entry) {
+        if (Store.trashKind(entry) !== 'outfit') return entry.imageId;
+
+        for (const id of entry.items || []) {
+            const item = Store.state.items.get(id) || Store.state.trash.get(id);
+            if (item?.imageId) return item.imageId;
         }
+        return null;
+    },
 
-        grid.innerHTML = html;
+    trashTile(entry, imgSrc, retentionDays) {
+        const kind = Store.trashKind(entry);
+
+        // Wardrobe items can't be shown without their photo
+        if (kind === 'item' && !imgSrc) return '';
+
+        let caption = kind === 'outfit'
+            ? `Outfit · ${(entry.items || []).length} item(s)`
+            : this.escapeHtml(entry.name || 'Wardrobe item');
+
+        if (retentionDays && entry.deletedDate) {
+            const expires = Date.parse(entry.deletedDate) + retentionDays * 24 * 60 * 60 * 1000;
+            const daysLeft = Math.max(0, Math.ceil((expires - Date.now()) / (24 * 60 * 60 * 1000)));
+            caption += ` · ${daysLeft}d left`;
+        }
+
+        const preview = imgSrc
+            ? `<img src="${imgSrc}" alt="Deleted ${kind}" loading="lazy">`
+            : `<div class="trash-placeholder">${kind === 'outfit' ? '👗' : '🛍️'}</div>`;
+
+        // Only wardrobe items can be dragged back into a section
+        const dragAttrs = kind === 'item' ? 'draggable="true" data-from-trash="true"' : 'draggable="false"';
+
+        return `
+            <div class="wardrobe-item" ${dragAttrs} data-id="${entry.id}">
+                ${preview}
+                <div class="item-caption">${caption}</div>
+                <div class="item-actions">
+                    <button class="action-icon" onclick="App.restoreItem('${entry.id}')" title="Restore" style="color: var(--success);">
+                        ↩️
+                    </button>
+                    <button class="action-icon delete" onclick="App.purgeTrashItem('${entry.id}')" title="Delete permanently">
+                        ✖
+                    </button>
+                </div>
+            </div>
+        `;
     },
 
     // Render weekly outfit planner
@@ -247,22 +463,8 @@ const UI = {
         const container = document.getElementById('weekly-outfits');
         if (!container) return;
 
-        let weeklyPlan = await Storage.getWeeklyPlan();
-
-        // Initialize default days if empty
-        if (weeklyPlan.length === 0) {
-            const defaults = [
-                { day: 'Monday', type: 'Business Casual', items: [], notes: '' },
-                { day: 'Tuesday', type: 'Client Day', items: [], notes: '' },
-                { day: 'Wednesday', type: 'Client Day', items: [], notes: '' },
-                { day: 'Thursday', type: 'Client Day', items: [], notes: '' },
-                { day: 'Friday', type: 'Casual Friday', items: [], notes: '' }
-            ];
-            for (const day of defaults) {
-                await Storage.saveWeeklyDay(day);
-            }
-            weeklyPlan = defaults;
-        }
+        const weeklyPlan = Store.getWeeklyPlan();
+        const itemsById = Store.state.items;
 
         let html = '';
         for (let i = 0; i < weeklyPlan.length; i++) {
@@ -276,8 +478,10 @@ const UI = {
                         <span class="day-label">📅 ${outfit.day}</span>
                         <div class="outfit-meta">
                             <span class="meta-badge ${badgeClass}" onclick="App.editDayType('${outfit.day}')">${outfit.type}</span>
+                            <button class="btn btn-secondary btn-sm" onclick="App.wearWeeklyDay('${outfit.day}')" title="Log this outfit as worn today">✓ Wore it</button>
                         </div>
                     </div>
+                    ${this.weeklyForecast(outfit, itemsById)}
                     <div class="outfit-canvas" data-day="${outfit.day}">
                         ${outfit.items.length === 0 ? '<p class="outfit-canvas-empty">Drag items here or click + to add</p>' : ''}
                         <div id="weekly-items-${outfit.day}" style="display: contents;"></div>
@@ -293,34 +497,56 @@ const UI = {
 
         container.innerHTML = html;
 
+        // Read every thumbnail the week needs in one go
+        const planned = weeklyPlan.flatMap(o => o.items).map(id => itemsById.get(id)).filter(Boolean);
+        const thumbUrls = await Images.thumbUrls(planned.map(i => i.imageId));
+
         // Render items for each day
         for (const outfit of weeklyPlan) {
-            await this.renderWeeklyDayItems(outfit.day, outfit.items);
+            this.renderWeeklyDayItems(outfit.day, outfit.items, itemsById, thumbUrls);
         }
     },
 
+    // The day's forecast and any warnings about its planned outfit; empty until
+    // the weather has loaded or when the day is beyond the forecast
+    weeklyForecast(outfit, itemsById) {
+        const forecast = Weather.getForecastForDay(window.currentWeather, outfit.day);
+        if (!forecast) return '';
+
+        return this.dayForecast(forecast, outfit.items.map(id => itemsById.get(id)).filter(Boolean));
+    },
+
+    // A day's high, low and chance of rain, with warnings about the items planned for it
+    dayForecast(forecast, items) {
+        const info = Weather.getWeatherInfo(forecast.code);
+        const warnings = Weather.checkOutfit(forecast, items)
+            .map(w => `<div class="forecast-warning">${w.icon} ${w.text}</div>`)
+            .join('');
+
+        return `
+            <div class="outfit-forecast" title="${info.desc}">
+                <span>${info.icon} ${Weather.formatTemp(forecast.max)} / ${Weather.formatTemp(forecast.min)}</span>
+                <span>💧 ${forecast.precipChance}%</span>
+            </div>
+            ${warnings}
+        `;
+    },
+
     // Render items for a specific day
-    async renderWeeklyDayItems(day, itemIds) {
+    renderWeeklyDayItems(day, itemIds, itemsById, thumbUrls) {
         const container = document.getElementById(`weekly-items-${day}`);
         if (!container) return;
 
-        if (itemIds.length === 0) {
-            container.innerHTML = '';
-            return;
-        }
-
         let html = '';
         for (const itemId of itemIds) {
-            const item = await Storage.getItem(itemId);
-            if (!item) continue;
-
-            const imgSrc = await Storage.getImage(item.imageId);
+            const item = itemsById.get(itemId);
+            const imgSrc = item && thumbUrls.get(item.imageId);
             if (!imgSrc) continue;
 
             html += `
                 <div class="outfit-item-thumb">
                     <img src="${imgSrc}" alt="Outfit item" loading="lazy">
-                    <button class="remove-btn" onclick="App.removeFromWeekly('${day}', ${itemId})">×</button>
+                    <button class="remove-btn" onclick="App.removeFromWeekly('${day}', '${itemId}')">×</button>
                 </div>
             `;
         }
@@ -330,57 +556,44 @@ const UI = {
 
     // Render builder palette (all available items)
     async renderBuilderPalette() {
-        const grid = document.getElementById('builder-palette');
-        if (!grid) return;
+        const availableItems = Store.getItems().filter(i => !i.laundry && !i.deleted);
 
-        const items = await Storage.getAllItems();
-        const availableItems = items.filter(i => !i.laundry && !i.deleted);
-
-        if (availableItems.length === 0) {
-            grid.innerHTML = `<div class="empty-state">No items available</div>`;
-            return;
-        }
-
-        let html = '';
-        for (const item of availableItems) {
-            const imgSrc = await Storage.getImage(item.imageId);
-            if (!imgSrc) continue;
-
-            html += `
+        await Grid.render('builder-palette', availableItems, {
+            renderTile: (item, imgSrc) => `
                 <div class="wardrobe-item" data-id="${item.id}">
                     <img src="${imgSrc}" alt="Wardrobe item" loading="lazy">
-                    <button class="add-to-builder-btn" onclick="App.addToBuilder(${item.id})" title="Add to outfit">
+                    <button class="add-to-builder-btn" onclick="App.addToBuilder('${item.id}')" title="Add to outfit">
                         +
                     </button>
                 </div>
-            `;
-        }
-
-        grid.innerHTML = html;
+            `,
+            emptyHtml: `<div class="empty-state">No items available</div>`
+        });
     },
 
     // Render builder canvas
-    async renderBuilderCanvas(itemIds) {
+    async renderBuilderCanvas() {
         const canvas = document.getElementById('builder-canvas');
         if (!canvas) return;
 
+        const itemIds = Store.getBuilder();
         if (itemIds.length === 0) {
             canvas.innerHTML = `<p class="outfit-canvas-empty">Click + on items to add them to your outfit</p>`;
             return;
         }
 
-        let html = '';
-        for (const itemId of itemIds) {
-            const item = await Storage.getItem(itemId);
-            if (!item) continue;
+        const items = itemIds.map(id => Store.state.items.get(id)).filter(Boolean);
+        const thumbUrls = await Images.thumbUrls(items.map(i => i.imageId));
 
-            const imgSrc = await Storage.getImage(item.imageId);
+        let html = '';
+        for (const item of items) {
+            const imgSrc = thumbUrls.get(item.imageId);
             if (!imgSrc) continue;
 
             html += `
                 <div class="outfit-item-thumb">
                     <img src="${imgSrc}" alt="Outfit item" loading="lazy">
-                    <button class="remove-btn" onclick="App.removeFromBuilder(${itemId})">×</button>
+                    <button class="remove-btn" onclick="App.removeFromBuilder('${item.id}')">×</button>
                 </div>
             `;
         }
@@ -395,7 +608,7 @@ const UI = {
 
         if (!section || !list) return;
 
-        const savedOutfits = await Storage.getAllSavedOutfits();
+        const savedOutfits = Store.getSavedOutfits();
 
         if (savedOutfits.length === 0) {
             section.style.display = 'none';
@@ -405,31 +618,307 @@ const UI = {
         section.style.display = 'block';
 
         let html = '';
-        for (const outfit of savedOutfits) {
+        savedOutfits.forEach((outfit, index) => {
             html += `
                 <div class="saved-outfit">
                     <div class="saved-info">
-                        <div class="saved-name">Outfit #${outfit.id} (${outfit.items?.length || 0} items)</div>
+                        <div class="saved-name">Outfit #${index + 1} (${outfit.items?.length || 0} items)</div>
                         <div class="saved-date">${outfit.date || 'No date'}</div>
                         ${outfit.notes ? `<div class="saved-notes" style="font-size: 0.85em; color: var(--text-secondary); margin-top: 4px;">${outfit.notes}</div>` : ''}
                     </div>
                     <div class="saved-actions">
-                        <button class="btn btn-secondary btn-sm" onclick="App.loadSavedOutfit(${outfit.id})">Load</button>
-                        <button class="btn btn-danger btn-sm" onclick="App.deleteSavedOutfit(${outfit.id})">Delete</button>
+                        <button class="btn btn-secondary btn-sm" onclick="App.loadSavedOutfit('${outfit.id}')">Load</button>
+                        <button class="btn btn-secondary btn-sm" onclick="App.wearSavedOutfit('${outfit.id}')">Wore it</button>
+                        <button class="btn btn-danger btn-sm" onclick="App.deleteSavedOutfit('${outfit.id}')">Delete</button>
                     </div>
                 </div>
             `;
-        }
+        });
 
         list.innerHTML = html;
     },
 
+    // Ranked outfit suggestions in the builder; null hides them
+    async renderGeneratedOutfits(options, conditions) {
+        const container = document.getElementById('generated-outfits');
+        if (!container) return;
+
+        if (!options) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const header = `
+            <div class="generated-header">
+                <span>✨ Suggestions for ${Weather.formatTemp(conditions.temp)}${conditions.wet ? ' and wet weather' : ''}</span>
+                <button class="btn btn-secondary btn-sm" onclick="App.clearGeneratedOutfits()">Close</button>
+            </div>
+        `;
+
+        if (options.length === 0) {
+            container.innerHTML = `${header}
+                <p class="outfit-canvas-empty">Add tops and bottoms, or dresses, to get suggestions. Pieces in the laundry are skipped.</p>`;
+            return;
+        }
+
+        const items = options.flatMap(o => o.items).map(id => Store.state.items.get(id)).filter(Boolean);
+        const thumbUrls = await Images.thumbUrls(items.map(i => i.imageId));
+        const dayOptions = Store.getWeeklyPlan()
+            .map(d => `<option value="${d.day}">${d.day}</option>`)
+            .join('');
+
+        const cards = options.map((option, index) => {
+            const thumbs = option.items
+                .map(id => Store.state.items.get(id))
+                .filter(item => item && thumbUrls.get(item.imageId))
+                .map(item => `<img src="${thumbUrls.get(item.imageId)}" alt="${this.escapeHtml(item.name || 'Outfit item')}" loading="lazy">`)
+                .join('');
+
+            return `
+                <div class="generated-outfit">
+                    <div class="generated-thumbs">${thumbs}</div>
+                    <div class="saved-date">#${index + 1}${option.reasons.length ? ` · ${option.reasons.join(' · ')}` : ''}</div>
+                    <div class="saved-actions">
+                        <button class="btn btn-primary btn-sm" onclick="App.loadGeneratedOutfit(${index})">Load</button>
+                        <select class="form-input generated-day" onchange="App.acceptGeneratedOutfit(${index}, this.value); this.value = ''">
+                            <option value="">📅 Plan for…</option>
+                            ${dayOptions}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = header + cards;
+    },
+
+    // ============ TRIPS ============
+
+    // Trip list, plus the open trip below it
+    async renderTrips() {
+        const list = document.getElementById('trips-list');
+        if (!list) return;
+
+        const trips = Store.getTrips();
+
+        if (trips.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">✈️</div>
+                    <p>No trips planned yet</p>
+                </div>
+            `;
+        } else {
+            list.innerHTML = `<div class="saved-grid">${trips.map(trip => `
+                <div class="saved-outfit">
+                    <div class="saved-info">
+                        <div class="saved-name">${this.escapeHtml(trip.name)}</div>
+                        <div class="saved-date">📍 ${this.escapeHtml(trip.destination.name)} · ${Trips.formatRange(trip)}</div>
+                    </div>
+                    <div class="saved-actions">
+                        <button class="btn btn-primary btn-sm" onclick="App.openTrip('${trip.id}')">Open</button>
+                        <button class="btn btn-secondary btn-sm" onclick="App.openTripModal('${trip.id}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="App.deleteTrip('${trip.id}')">Delete</button>
+                    </div>
+                </div>
+            `).join('')}</div>`;
+        }
+
+        await this.renderTripDetail();
+    },
+
+    // The open trip's days and packing list; hidden when no trip is open
+    async renderTripDetail() {
+        const container = document.getElementById('trip-detail');
+        if (!container) return;
+
+        const trip = App.currentTripId != null ? Store.getTrip(App.currentTripId) : null;
+        if (!trip) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const itemsById = Store.state.items;
+        const weatherData = App.tripWeatherFor(trip);
+        const packing = Trips.packingList(trip, itemsById);
+        const thumbUrls = await Images.thumbUrls(packing.map(entry => entry.item.imageId));
+        const activities = trip.activities?.length
+            ? `<p class="settings-hint">Activities: ${trip.activities.map(a => this.escapeHtml(a)).join(' · ')}</p>`
+            : '';
+
+        container.innerHTML = `
+            <div class="card-header">
+                <div>
+                    <h2 class="card-title">✈️ ${this.escapeHtml(trip.name)}</h2>
+                    <p class="settings-hint">📍 ${this.escapeHtml(trip.destination.name)} · ${Trips.formatRange(trip)}</p>
+                    ${activities}
+                </div>
+                <div class="canvas-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="App.planTrip('${trip.id}')" title="Plan an outfit for every empty day with a forecast">✨ Plan Days</button>
+                    <button class="btn btn-secondary btn-sm" onclick="App.closeTrip()">Close</button>
+                </div>
+            </div>
+            ${trip.days.map(day => this.tripDay(trip, day, weatherData, itemsById, thumbUrls)).join('')}
+            ${this.packingChecklist(trip, packing, thumbUrls)}
+        `;
+        container.style.display = 'block';
+    },
+
+    // One day of a trip: its forecast, activity and outfit
+    tripDay(trip, day, weatherData, itemsById, thumbUrls) {
+        const forecast = Weather.getForecastForDate(weatherData, day.date);
+        const items = day.items.map(id => itemsById.get(id)).filter(Boolean);
+
+        // An activity removed from the trip stays listed on the days that use it
+        const tripActivities = trip.activities || [];
+        const activities = day.activity && !tripActivities.includes(day.activity)
+            ? [...tripActivities, day.activity]
+            : tripActivities;
+        const activitySelect = activities.length === 0 ? '' : `
+            <select class="form-input trip-activity" onchange="App.setTripDayActivity('${trip.id}', '${day.date}', this.value)">
+                <option value="">No activity</option>
+                ${activities.map(a => `<option value="${this.escapeHtml(a)}"${a === day.activity ? ' selected' : ''}>${this.escapeHtml(a)}</option>`).join('')}
+            </select>
+        `;
+
+        const thumbs = items
+            .filter(item => thumbUrls.get(item.imageId))
+            .map(item => `
+                <div class="outfit-item-thumb">
+                    <img src="${thumbUrls.get(item.imageId)}" alt="${this.escapeHtml(item.name || 'Outfit item')}" loading="lazy">
+                    <button class="remove-btn" onclick="App.removeFromTripDay('${trip.id}', '${day.date}', '${item.id}')">×</button>
+                </div>
+            `)
+            .join('');
+
+        return `
+            <div class="outfit-card">
+                <div class="outfit-header">
+                    <span class="day-label">📅 ${Trips.formatDay(day.date)}</span>
+                    <div class="outfit-meta">
+                        ${activitySelect}
+                        <button class="btn btn-secondary btn-sm" onclick="App.planTripDay('${trip.id}', '${day.date}')" title="Plan an outfit for this day's forecast">✨ Plan</button>
+                    </div>
+                </div>
+                ${forecast ? this.dayForecast(forecast, items) : '<div class="outfit-forecast">No forecast yet</div>'}
+                <div class="outfit-canvas" data-trip-id="${trip.id}" data-date="${day.date}">
+                    ${items.length === 0 ? '<p class="outfit-canvas-empty">Click ✨ Plan, or + to add pieces yourself</p>' : ''}
+                    ${thumbs}
+                    <button class="add-item-btn" onclick="App.openTripDayModal('${trip.id}', '${day.date}')">+ Add</button>
+                </div>
+            </div>
+        `;
+    },
+
+    // Every planned piece once, with the days it is worn and whether it is packed
+    packingChecklist(trip, packing, thumbUrls) {
+        if (packing.length === 0) {
+            return `
+                <h3 class="saved-title">🧳 Packing List</h3>
+                <p class="settings-hint">Pieces appear here once days have outfits.</p>
+            `;
+        }
+
+        const packed = new Set(trip.packed || []);
+        const packedCount = packing.filter(entry => packed.has(entry.item.id)).length;
+
+        const rows = packing.map(({ item, dates }) => {
+            const imgSrc = thumbUrls.get(item.imageId);
+            const worn = dates.length > 1 ? `Worn ${dates.length} days` : Trips.formatDay(dates[0]);
+
+            return `
+                <li class="${packed.has(item.id) ? 'packed' : ''}">
+                    <label>
+                        <input type="checkbox" ${packed.has(item.id) ? 'checked' : ''} onchange="App.togglePacked('${trip.id}', '${item.id}')">
+                        ${imgSrc ? `<img src="${imgSrc}" alt="" loading="lazy">` : ''}
+                        <span>${this.escapeHtml(item.name || DragDrop.getCategoryName(item.category))}</span>
+                    </label>
+                    <small title="${dates.map(d => Trips.formatDay(d)).join(', ')}">${worn}</small>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="packing-header">
+                <h3 class="saved-title">🧳 Packing List</h3>
+                <span class="settings-hint">${packedCount} of ${packing.length} packed</span>
+                <button class="btn btn-secondary btn-sm" onclick="App.printPackingList('${trip.id}')">🖨️ Print</button>
+            </div>
+            <ul class="packing-list">${rows}</ul>
+        `;
+    },
+
+    // Plain checklist of a trip's packing list and daily outfits, printed on its own
+    renderPackingPrint(trip) {
+        const container = document.getElementById('packing-print');
+        if (!container) return;
+
+        const itemsById = Store.state.items;
+        const packed = new Set(trip.packed || []);
+        const itemName = (item) => this.escapeHtml(item.name || DragDrop.getCategoryName(item.category));
+
+        const groups = new Map();
+        for (const entry of Trips.packingList(trip, itemsById)) {
+            const label = DragDrop.getCategoryName(entry.item.category);
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(entry);
+        }
+
+        const checklist = [...groups].map(([label, entries]) => `
+            <h2>${label}</h2>
+            <ul>${entries.map(({ item, dates }) => `
+                <li>${packed.has(item.id) ? '☑' : '☐'} ${itemName(item)}
+                    <small>${dates.map(d => Trips.formatDay(d)).join(', ')}</small></li>
+            `).join('')}</ul>
+        `).join('');
+
+        const days = trip.days.map(day => {
+            const items = day.items.map(id => itemsById.get(id)).filter(Boolean);
+            return `
+                <li><strong>${Trips.formatDay(day.date)}</strong>${day.activity ? ` (${this.escapeHtml(day.activity)})` : ''}:
+                    ${items.length ? items.map(itemName).join(', ') : 'nothing planned'}</li>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <h1>🧳 ${this.escapeHtml(trip.name)}</h1>
+            <p>${this.escapeHtml(trip.destination.name)} · ${Trips.formatRange(trip)}</p>
+            ${checklist || '<p>Nothing planned yet.</p>'}
+            <h2>Day by day</h2>
+            <ul>${days}</ul>
+        `;
+    },
+
+    // Destination search results in the trip modal; null hides them
+    renderTripDestinationResults(results) {
+        const container = document.getElementById('trip-destination-results');
+        if (!container) return;
+
+        if (!results) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (results.length === 0) {
+            container.innerHTML = `<p class="settings-hint">No places found</p>`;
+            return;
+        }
+
+        container.innerHTML = `<ul class="location-list">${results.map((result, index) => `
+            <li>
+                <span>${this.escapeHtml(result.name)}</span>
+                <button class="btn btn-secondary btn-sm" onclick="App.chooseTripDestination(${index})">Choose</button>
+            </li>
+        `).join('')}</ul>`;
+    },
+
     // Render shopping list
     async renderShoppingList() {
         const grid = document.getElementById('shopping-list');
         if (!grid) return;
 
-        const items = await Storage.getAllShoppingItems();
+        const items = Store.getShoppingList();
 
         if (items.length === 0) {
             grid.innerHTML = `
@@ -441,9 +930,11 @@ const UI = {
             return;
         }
 
+        const thumbUrls = await Images.thumbUrls(items.map(i => i.imageId).filter(id => id != null));
+
         let html = '';
         for (const item of items) {
-            const imgSrc = item.imageId ? await Storage.getImage(item.imageId) : null;
+            const imgSrc = item.imageId != null ? thumbUrls.get(item.imageId) : null;
 
             html += `
                 <div class="shopping-item">
@@ -454,7 +945,7 @@ const UI = {
                     </div>
                     ${item.price ? `<div class="shopping-price">${item.price}</div>` : ''}
                     <div class="shopping-actions">
-                        <button class="btn btn-danger btn-sm" onclick="App.deleteShoppingItem(${item.id})">Remove</button>
+                        <button class="btn btn-danger btn-sm" onclick="App.deleteShoppingItem('${item.id}')">Remove</button>
                     </div>
                 </div>
             `;
@@ -463,6 +954,408 @@ const UI = {
         grid.innerHTML = html;
     },
 
+    // Render the wear history list in the item detail modal
+    async renderWearHistory(itemId) {
+        const container = document.getElementById('detail-wear-history');
+        if (!container) return;
+
+        const entries = await Storage.getWearLogForItem(itemId);
+        entries.sort((a, b) => b.wornAt.localeCompare(a.wornAt));
+
+        if (entries.length === 0) {
+            container.innerHTML = `<p class="settings-hint">Not worn yet. Tap 👕 on the item when you wear it.</p>`;
+            return;
+        }
+
+        const sourceLabels = { item: 'Single item', weekly: 'Weekly plan', outfit: 'Saved outfit' };
+
+        let html = `<p class="wear-summary">Worn ${entries.length} time${entries.length === 1 ? '' : 's'}</p>`;
+        for (const entry of entries) {
+            const date = new Date(`${entry.date}T00:00:00`).toLocaleDateString(undefined, {
+                weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+            });
+            const weather = entry.weather
+                ? `${Weather.getWeatherInfo(entry.weather.code).icon} ${Weather.formatTemp(entry.weather.temp, entry.weather.unit)}`
+                : '';
+            const source = entry.source === 'weekly' && entry.sourceId
+                ? `${entry.sourceId} plan`
+                : sourceLabels[entry.source] || '';
+
+            html += `
+                <div class="wear-entry">
+                    <span class="wear-date">${date}</span>
+                    <span class="wear-weather">${weather}</span>
+                    <span class="wear-source">${this.escapeHtml(source)}</span>
+                    <button class="wear-remove" onclick="App.removeWearEntry('${entry.id}', '${itemId}')" title="Remove from history">×</button>
+                </div>
+            `;
+        }
+
+        container.innerHTML = html;
+    },
+
+    // Dry-run report for a backup: the schema check, then what a merge would change.
+    // plan is null when the check found errors, and importing is disabled
+    async renderImportSummary(plan, data, report) {
+        const container = document.getElementById('import-summary');
+        if (!container) return;
+
+        document.getElementById('import-replace-btn').disabled = !report.ok;
+        document.getElementById('import-merge-btn').disabled = !report.ok;
+
+        const checkList = (messages, hidden) => `
+            <ul>
+                ${messages.map(m => `<li>${this.escapeHtml(m)}</li>`).join('')}
+                ${hidden > 0 ? `<li>…and ${hidden} more</li>` : ''}
+            </ul>
+        `;
+
+        let check = '';
+        if (!report.ok) {
+            check += `
+                <div class="import-check error">
+                    <strong>This backup can't be imported. Nothing on this device was changed.</strong>
+                    ${checkList(report.errors, report.hiddenErrors)}
+                </div>
+            `;
+        }
+        if (report.warnings.length > 0) {
+            check += `
+                <div class="import-check">
+                    <strong>Some parts of this backup will be left out:</strong>
+                    ${checkList(report.warnings, report.hiddenWarnings)}
+                </div>
+            `;
+        }
+
+        if (!plan) {
+            container.innerHTML = check;
+            return;
+        }
+
+        const labels = {
+            items: 'Wardrobe items',
+            customSections: 'Custom sections',
+            weeklyPlan: 'Weekly plan days',
+            savedOutfits: 'Saved outfits',
+            shoppingList: 'Shopping list',
+            wearLog: 'Wear log entries',
+            trips: 'Trips'
+        };
+
+        let rows = '';
+        for (const [storeName, label] of Object.entries(labels)) {
+            const { added, updated, skipped } = plan.summary[storeName];
+            rows += `
+                <tr>
+                    <td>${label}</td>
+                    <td>${added}</td>
+                    <td>${updated}</td>
+                    <td>${skipped}</td>
+                </tr>
+            `;
+        }
+
+        const localItems = Store.getItems();
+        const exportDate = data.exportDate ? new Date(data.exportDate).toLocaleString() : 'unknown date';
+
+        container.innerHTML = `
+            <p class="settings-hint">Backup from ${exportDate} with ${report.counts.items} item(s) and ${report.counts.images} photo(s), checked and ready to import.</p>
+            ${check}
+            <table class="import-table">
+                <thead>
+                    <tr><th>Merge</th><th>Add</th><th>Update</th><th>Skip</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="settings-hint">Merging keeps your current settings and the newer copy of anything changed on both devices.
+                Replacing deletes all ${localItems.length} item(s) on this device first.</p>
+        `;
+    },
+
+    // ============ PROFILES ============
+
+    // Header dropdown listing every profile, plus an entry to add one
+    renderProfileSwitcher() {
+        const select = document.getElementById('profile-select');
+        if (!select) return;
+
+        const activeId = Profiles.activeId();
+        select.innerHTML = Profiles.list()
+            .map(p => `<option value="${p.id}" ${p.id === activeId ? 'selected' : ''}>👤 ${this.escapeHtml(p.name)}</option>`)
+            .join('') + `<option value="new">➕ New profile…</option>`;
+    },
+
+    // Profile list in settings; other profiles can be deleted from here
+    renderProfileList() {
+        const container = document.getElementById('settings-profiles');
+        if (!container) return;
+
+        const activeId = Profiles.activeId();
+        const rows = Profiles.list().map(p => {
+            let action = '';
+            if (p.id === activeId) {
+                action = `<span class="profile-active">Active</span>`;
+            } else if (p.id !== Profiles.DEFAULT_ID) {
+                action = `<button class="btn btn-danger btn-sm" onclick="App.deleteProfile('${p.id}')">Delete</button>`;
+            }
+            return `<li><span>${this.escapeHtml(p.name)}</span>${action}</li>`;
+        });
+
+        container.innerHTML = `<ul class="profile-list">${rows.join('')}</ul>`;
+    },
+
+    // Targets for copying an item; hidden when there is only one profile
+    renderCopyProfileOptions() {
+        const group = document.getElementById('detail-copy-group');
+        const select = document.getElementById('detail-copy-profile');
+        if (!group || !select) return;
+
+        const others = Profiles.list().filter(p => p.id !== Profiles.activeId());
+        group.style.display = others.length > 0 ? 'block' : 'none';
+        select.innerHTML = others
+            .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`)
+            .join('');
+    },
+
+    // ============ AUTOMATIC BACKUPS ============
+
+    // Where backups go, how the last one went, and every backup that can be restored
+    renderBackupHistory(history, folder, lastResult) {
+        const status = document.getElementById('settings-autobackup-status');
+        const list = document.getElementById('settings-backup-history');
+        if (!status || !list) return;
+
+        let where;
+        if (folder.state === 'ready') {
+            where = `Saving to the folder <strong>${this.escapeHtml(folder.name)}</strong>`;
+        } else if (folder.state === 'needs-permission') {
+            where = `The folder <strong>${this.escapeHtml(folder.name)}</strong> needs permission again; until then backups stay in this browser`;
+        } else {
+            where = 'Saving in this browser';
+        }
+
+        let last = '';
+        if (lastResult) {
+            const when = new Date(lastResult.date).toLocaleString();
+            last = lastResult.ok ? ` · Last backup ${when}` : ` · Last backup failed ${when}`;
+        }
+
+        const buttons = [];
+        if (folder.state === 'needs-permission') {
+            buttons.push(`<button class="btn btn-secondary btn-sm" onclick="App.reconnectBackupFolder()">Allow Access</button>`);
+        }
+        if (AutoBackup.isFolderSupported()) {
+            buttons.push(`<button class="btn btn-secondary btn-sm" onclick="App.chooseBackupFolder()">📁 Choose Folder</button>`);
+        }
+        if (folder.state !== 'none') {
+            buttons.push(`<button class="btn btn-secondary btn-sm" onclick="App.useBrowserBackups()">Use Browser</button>`);
+        }
+
+        status.innerHTML = `
+            <p class="settings-hint">${where}${last}</p>
+            <div class="settings-buttons">${buttons.join('')}</div>
+        `;
+
+        if (history.length === 0) {
+            list.innerHTML = `<p class="settings-hint">No automatic backups yet</p>`;
+            return;
+        }
+
+        list.innerHTML = `<ul class="backup-history">${history.map((entry, index) => `
+            <li>
+                <span>
+                    ${new Date(entry.date).toLocaleString()}
+                    <small>${entry.source === 'folder' ? '📁' : '💾'} ${this.formatBytes(entry.size)}</small>
+                </span>
+                <span class="backup-history-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="App.restoreBackup(${index})">Restore</button>
+                    <button class="btn btn-secondary btn-sm" onclick="App.downloadBackup(${index})">Download</button>
+                </span>
+            </li>
+        `).join('')}</ul>`;
+    },
+
+    // ============ BACKUP PASSPHRASE ============
+
+    // Exports ask for the passphrase twice; imports once
+    openPassphraseModal(mode) {
+        const exporting = mode === 'export';
+
+        document.getElementById('passphrase-title').textContent = exporting ? '🔒 Encrypt Backup' : '🔒 Encrypted Backup';
+        document.getElementById('passphrase-hint').textContent = exporting
+            ? 'The backup can only be restored with this passphrase. It cannot be recovered if you forget it.'
+            : 'Enter the passphrase this backup was encrypted with.';
+        document.getElementById('passphrase-input').value = '';
+        document.getElementById('passphrase-confirm').value = '';
+        document.getElementById('passphrase-confirm-group').style.display = exporting ? 'block' : 'none';
+        this.showPassphraseError('');
+
+        this.openModal('passphrase-modal');
+        document.getElementById('passphrase-input').focus();
+    },
+
+    showPassphraseError(message) {
+        const error = document.getElementById('passphrase-error');
+        if (!error) return;
+
+        error.textContent = message;
+        error.style.display = message ? 'block' : 'none';
+    },
+
+    // Deriving the key takes a moment, so keep the button from being pressed twice
+    setPassphraseBusy(busy) {
+        const button = document.getElementById('passphrase-submit');
+        if (!button) return;
+
+        button.disabled = busy;
+        button.textContent = busy ? 'Decrypting…' : 'Continue';
+    },
+
+    // ============ LOCATIONS ============
+
+    // Search results in settings; null hides them
+    renderLocationResults(results) {
+        const container = document.getElementById('settings-location-results');
+        if (!container) return;
+
+        if (!results) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (results.length === 0) {
+            container.innerHTML = `<p class="settings-hint">No places found</p>`;
+            return;
+        }
+
+        container.innerHTML = `<ul class="location-list">${results.map((result, index) => `
+            <li>
+                <span>${this.escapeHtml(result.name)}</span>
+                <span class="location-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="App.useLocationResult(${index})">Use</button>
+                    <button class="btn btn-secondary btn-sm" onclick="App.saveLocationResult(${index})">☆ Save</button>
+                </span>
+            </li>
+        `).join('')}</ul>`;
+    },
+
+    // Saved places in settings, with the one in use marked
+    renderSavedLocations() {
+        const container = document.getElementById('settings-saved-locations');
+        if (!container) return;
+
+        const current = Weather.getLocation();
+        const saved = Weather.getSavedLocations();
+        const currentSaved = saved.some(l => Weather.isSameLocation(l, current));
+
+        const rows = saved.map(l => `
+            <li>
+                <span>
+                    ${this.escapeHtml(l.label)}
+                    <small>${this.escapeHtml(l.name)}</small>
+                </span>
+                <span class="location-actions">
+                    ${Weather.isSameLocation(l, current)
+                        ? `<span class="settings-hint">✓ In use</span>`
+                        : `<button class="btn btn-secondary btn-sm" onclick="App.switchLocation('${l.id}')">Use</button>`}
+                    <button class="btn btn-secondary btn-sm" onclick="App.removeSavedLocation('${l.id}')" title="Remove">✖</button>
+                </span>
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            ${rows ? `<ul class="location-list">${rows}</ul>` : ''}
+            ${currentSaved ? '' : `<button class="btn btn-secondary btn-sm" onclick="App.saveCurrentLocation()">☆ Save ${this.escapeHtml(current.name)}</button>`}
+        `;
+    },
+
+    // ============ STORAGE ============
+
+    // Usage against the quota, persistence, and where the space goes
+    renderStoragePanel(estimate, breakdown) {
+        const container = document.getElementById('settings-storage');
+        if (!container) return;
+
+        let usage;
+        if (!estimate) {
+            usage = `<p class="settings-hint">This browser doesn't report how much storage is used</p>`;
+        } else {
+            const percent = Math.round(estimate.ratio * 100);
+            const full = estimate.ratio >= Quota.WARN_RATIO;
+            const persistence = estimate.persisted
+                ? `<p class="settings-hint">✓ Stored permanently: the browser won't clear it when space runs low</p>`
+                : `<p class="settings-hint">The browser may clear this data when space runs low
+                       <button class="btn btn-secondary btn-sm" onclick="App.requestPersistentStorage()">📌 Keep Permanently</button></p>`;
+
+            usage = `
+                <p class="settings-hint">Using ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} (${percent}%)</p>
+                <div class="storage-meter${full ? ' full' : ''}"><div style="width:${Math.min(100, percent)}%"></div></div>
+                ${persistence}
+            `;
+        }
+
+        const stores = breakdown.stores
+            .filter(store => store.count > 0)
+            .map(store => `<li>${store.label} <small>${store.count}</small><span>${this.formatBytes(store.size)}</span></li>`)
+            .join('');
+
+        const images = breakdown.largestImages
+            .map(img => `<li>${this.escapeHtml(img.owner || 'Not used')}<span>${this.formatBytes(img.size)}</span></li>`)
+            .join('');
+
+        container.innerHTML = `
+            ${usage}
+            ${stores ? `<ul class="storage-breakdown">${stores}</ul>` : ''}
+            ${images ? `<label class="form-label">Largest Photos</label><ul class="storage-breakdown">${images}</ul>` : ''}
+        `;
+    },
+
+    // Show recompression progress on its button; null when finished
+    setRecompressProgress(done, total) {
+        const button = document.getElementById('storage-recompress-btn');
+        if (!button) return;
+
+        button.disabled = done !== null;
+        button.textContent = done !== null ? `Recompressing ${done} of ${total}…` : '🗜️ Recompress Photos';
+    },
+
+    // Render the result of a data check in settings
+    renderIntegrityReport(report) {
+        const container = document.getElementById('settings-integrity');
+        if (!container) return;
+
+        if (!report) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (report.total === 0) {
+            container.innerHTML = `<p class="integrity-ok">✓ No problems found</p>`;
+            return;
+        }
+
+        let rows = '';
+        for (const [type, label] of Object.entries(Integrity.LABELS)) {
+            const count = report.problems[type].length;
+            if (count > 0) rows += `<li>${label}: <strong>${count}</strong></li>`;
+        }
+
+        container.innerHTML = `
+            <ul class="integrity-list">${rows}</ul>
+            <button class="btn btn-primary btn-sm" onclick="App.repairIntegrity()">Repair ${report.total} problem(s)</button>
+        `;
+    },
+
+    // Switch the move modal between moving an item and restoring one from the trash
+    setMoveModalMode(mode) {
+        const restoring = mode === 'restore';
+        document.getElementById('move-modal-title').textContent = restoring ? 'Restore Item' : 'Move Item';
+        document.getElementById('move-modal-label').textContent = restoring ? 'Restore to Section' : 'Move to Section';
+        document.getElementById('move-modal-confirm').textContent = restoring ? 'Restore Item' : 'Move Item';
+        document.getElementById('move-modal-hint').style.display = restoring ? 'block' : 'none';
+    },
+
     // Update move modal with custom sections
     updateMoveModalCategories(customSections) {
         const select = document.getElementById('move-category');
@@ -499,16 +1392,6 @@ const UI = {
 
         const tabBtn = document.querySelector(`.tab-btn[onclick*="${name}"]`);
         if (tabBtn) tabBtn.classList.add('active');
-
-        // Refresh content when switching tabs
-        if (name === 'weekly') {
-            this.renderWeeklyOutfits();
-        } else if (name === 'builder') {
-            this.renderBuilderPalette();
-            this.renderSavedOutfits();
-        } else if (name === 'shopping') {
-            this.renderShoppingList();
-        }
     },
 
     // Modal helpers
@@ -522,27 +1405,18 @@ const UI = {
         if (modal) modal.classList.remove('active');
     },
 
-    // Render weekly add modal with all items
-    async renderWeeklyAddModal() {
-        const grid = document.getElementById('weekly-add-grid');
-        if (!grid) return;
-
-        const items = await Storage.getAllItems();
-        const availableItems = items.filter(i => !i.deleted);
+    // Render weekly add modal with all items; pick names the App method a tile calls
+    async renderWeeklyAddModal(pick = 'addToWeeklyFromModal') {
+        const availableItems = Store.getItems().filter(i => !i.deleted);
 
-        let html = '';
-        for (const item of availableItems) {
-            const imgSrc = await Storage.getImage(item.imageId);
-            if (!imgSrc) continue;
-
-            html += `
-                <div class="wardrobe-item" data-id="${item.id}" onclick="App.addToWeeklyFromModal(${item.id})">
+        await Grid.render('weekly-add-grid', availableItems, {
+            renderTile: (item, imgSrc) => `
+                <div class="wardrobe-item" data-id="${item.id}" onclick="App.${pick}('${item.id}')">
                     <img src="${imgSrc}" alt="Wardrobe item" loading="lazy">
                 </div>
-            `;
-        }
-
-        grid.innerHTML = html || '<div class="empty-state">No items available</div>';
+            `,
+            emptyHtml: '<div class="empty-state">No items available</div>'
+        });
     }
 };
 
@@ -5,8 +5,16 @@
 
 const Weather = {
     CACHE_DURATION: 30 * 60 * 1000, // 30 minutes
+    CACHE_LOCATIONS: 5, // Forecasts kept for this many places
+    FORECAST_DAYS: 16, // The longest Open-Meteo offers, so trips can be planned ahead
     DEFAULT_LOCATION: { lat: 33.2148, lon: -97.1331, name: 'Denton, Texas' },
 
+    // Times of day usually spent outside (e.g. a commute), editable in Settings
+    DEFAULT_WINDOWS: [
+        { start: '07:30', end: '09:00' },
+        { start: '17:00', end: '18:30' }
+    ],
+
     // WMO Weather interpretation codes to icons and descriptions
     weatherCodes: {
         0: { icon: '☀️', desc: 'Clear sky' },
@@ -53,11 +61,11 @@ const Weather = {
                     try {
                         const name = await this.reverseGeocode(latitude, longitude);
                         const location = { lat: latitude, lon: longitude, name };
-                        Storage.setSetting('location', location);
+                        this.setLocation(location);
                         resolve(location);
                     } catch (err) {
                         const location = { lat: latitude, lon: longitude, name: `${latitude.toFixed(2)}, ${longitude.toFixed(2)}` };
-                        Storage.setSetting('location', location);
+                        this.setLocation(location);
                         resolve(location);
                     }
                 },
@@ -124,11 +132,68 @@ const Weather = {
         return saved || this.DEFAULT_LOCATION;
     },
 
+    // Make a place the one forecasts are shown for
+    setLocation({ lat, lon, name }) {
+        Storage.setSetting('location', { lat, lon, name });
+    },
+
+    // ============ SAVED LOCATIONS ============
+
+    // Places the user switches between, as { id, label, lat, lon, name }
+    getSavedLocations() {
+        return Storage.getSetting('savedLocations', []);
+    },
+
+    saveLocation({ lat, lon, name }, label) {
+        const entry = { id: Ids.generate(), label, lat, lon, name };
+        Storage.setSetting('savedLocations', [...this.getSavedLocations(), entry]);
+        return entry;
+    },
+
+    removeSavedLocation(id) {
+        Storage.setSetting('savedLocations', this.getSavedLocations().filter(l => l.id !== id));
+    },
+
+    // Coordinates rounded to about 100 m, so the same place always gets the same key
+    locationKey(lat, lon) {
+        return `${Number(lat).toFixed(3)},${Number(lon).toFixed(3)}`;
+    },
+
+    isSameLocation(a, b) {
+        return !!a && !!b && this.locationKey(a.lat, a.lon) === this.locationKey(b.lat, b.lon);
+    },
+
+    // ============ FORECAST CACHE ============
+
+    // Forecasts are cached per place, so switching never shows another city's weather
+    getCachedWeather(lat, lon) {
+        const cache = Storage.getSetting('weatherCache');
+        return cache?.[this.locationKey(lat, lon)] || null;
+    },
+
+    setCachedWeather(lat, lon, data) {
+        const cache = Storage.getSetting('weatherCache') || {};
+
+        // Caches from before forecasts were kept per place hold a single forecast
+        if (cache.timestamp) {
+            delete cache.data;
+            delete cache.timestamp;
+        }
+
+        cache[this.locationKey(lat, lon)] = { data, timestamp: Date.now() };
+
+        // Keep only the most recently fetched places
+        const newest = Object.entries(cache)
+            .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+            .slice(0, this.CACHE_LOCATIONS);
+        Storage.setSetting('weatherCache', Object.fromEntries(newest));
+    },
+
     // Fetch weather data from Open-Meteo
     async fetchWeather(lat, lon) {
-        // Check cache first
-        const cached = Storage.getSetting('weatherCache');
-        if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+        // Check cache first (caches from before hourly forecasts are refetched)
+        const cached = this.getCachedWeather(lat, lon);
+        if (cached?.data?.hourly && Date.now() - cached.timestamp < this.CACHE_DURATION) {
             console.log('Using cached weather data');
             return cached.data;
         }
@@ -137,12 +202,13 @@ const Weather = {
         const url = `https://api.open-meteo.com/v1/forecast?` +
             `latitude=${lat}&longitude=${lon}` +
             `&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,wind_speed_10m` +
+            `&hourly=temperature_2m,apparent_temperature,precipitation_probability,precipitation,wind_speed_10m,weather_code` +
             `&daily=temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code` +
             `&temperature_unit=${tempUnit}` +
             `&wind_speed_unit=mph` +
             `&precipitation_unit=inch` +
             `&timezone=auto` +
-            `&forecast_days=7`;
+            `&forecast_days=${this.FORECAST_DAYS}`;
 
         try {
             const response = await fetch(url);
@@ -154,10 +220,7 @@ const Weather = {
             const data = await response.json();
 
             // Cache the result
-            Storage.setSetting('weatherCache', {
-                data,
-                timestamp: Date.now()
-            });
+            this.setCachedWeather(lat, lon, data);
 
             return data;
         } catch (err) {
@@ -189,7 +252,7 @@ const Weather = {
         const suggestions = [];
 
         // Temperature-based suggestions (Fahrenheit)
-        const tempF = tempUnit === 'celsius' ? (temp * 9/5) + 32 : temp;
+        const tempF = this.toFahrenheit(temp, tempUnit);
 
         if (tempF < 32) {
             suggestions.push({
@@ -270,12 +333,208 @@ const Weather = {
             });
         }
 
+        // What the hours spent outside add: a big temperature swing comes first,
+        // rain and wind only when current conditions didn't mention them already
+        for (const suggestion of this.getWindowSuggestions(weatherData)) {
+            if (suggestion.icon === '🌡️') {
+                suggestions.unshift(suggestion);
+            } else if (!suggestions.some(s => s.icon === suggestion.icon)) {
+                suggestions.push(suggestion);
+            }
+        }
+
+        return suggestions;
+    },
+
+    // ============ HOURLY FORECAST ============
+
+    // Swing in apparent temperature (°F) while outside that calls for layers
+    LAYERING_SWING_F: 15,
+    RAINY_HOUR_CHANCE: 50,
+    WINDY_HOUR_MPH: 20,
+
+    getOutdoorWindows() {
+        return Storage.getSetting('outdoorWindows', this.DEFAULT_WINDOWS);
+    },
+
+    // Hourly forecast as { time, temp, apparentTemp, precipChance, precip, wind, code }.
+    // Times are local to the location, e.g. '2026-01-31T08:00'
+    getHourlyForecast(weatherData) {
+        const hourly = weatherData?.hourly;
+        if (!hourly?.time) return [];
+
+        return hourly.time.map((time, i) => ({
+            time,
+            temp: hourly.temperature_2m[i],
+            apparentTemp: hourly.apparent_temperature[i],
+            precipChance: hourly.precipitation_probability[i] ?? 0,
+            precip: hourly.precipitation[i] ?? 0,
+            wind: hourly.wind_speed_10m[i] ?? 0,
+            code: hourly.weather_code[i]
+        }));
+    },
+
+    // The hour the forecast's current conditions fall in
+    currentHour(weatherData) {
+        const now = weatherData?.current?.time || weatherData?.hourly?.time?.[0] || '';
+        return `${now.slice(0, 13)}:00`;
+    },
+
+    // The next few hours, starting with the current one
+    getNextHours(weatherData, count = 12) {
+        const from = this.currentHour(weatherData);
+        return this.getHourlyForecast(weatherData).filter(h => h.time >= from).slice(0, count);
+    },
+
+    // Whether any part of an hour falls inside one of the windows
+    isInWindow(time, windows = this.getOutdoorWindows()) {
+        const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+        const start = toMinutes(time.slice(11, 16));
+        return windows.some(w => start < toMinutes(w.end) && start + 60 > toMinutes(w.start));
+    },
+
+    // Hours inside the windows still ahead today, or tomorrow's once today's are over
+    getWindowHours(weatherData, windows = this.getOutdoorWindows()) {
+        if (windows.length === 0) return [];
+
+        const from = this.currentHour(weatherData);
+        const upcoming = this.getHourlyForecast(weatherData)
+            .filter(h => h.time >= from && this.isInWindow(h.time, windows));
+        if (upcoming.length === 0) return [];
+
+        const day = upcoming[0].time.slice(0, 10);
+        return upcoming.filter(h => h.time.startsWith(day));
+    },
+
+    // Advice for the temperature swing, rain and wind during the hours outside
+    getWindowSuggestions(weatherData) {
+        const hours = this.getWindowHours(weatherData);
+        if (hours.length === 0) return [];
+
+        const suggestions = [];
+        const when = hours[0].time.slice(0, 10) === this.currentHour(weatherData).slice(0, 10) ? '' : ' tomorrow';
+        const coldest = hours.reduce((a, b) => (b.apparentTemp < a.apparentTemp ? b : a));
+        const warmest = hours.reduce((a, b) => (b.apparentTemp > a.apparentTemp ? b : a));
+        const wettest = hours.reduce((a, b) => (b.precipChance > a.precipChance ? b : a));
+        const windiest = hours.reduce((a, b) => (b.wind > a.wind ? b : a));
+
+        const swing = this.toFahrenheit(warmest.apparentTemp) - this.toFahrenheit(coldest.apparentTemp);
+        if (swing >= this.LAYERING_SWING_F) {
+            suggestions.push({
+                icon: '🌡️',
+                text: `From ${this.formatTemp(coldest.apparentTemp)} to ${this.formatTemp(warmest.apparentTemp)} while you're out${when} - wear layers you can take off`,
+                category: 'outerwear'
+            });
+        }
+
+        if (wettest.precipChance >= this.RAINY_HOUR_CHANCE) {
+            suggestions.push({
+                icon: '☔',
+                text: `${wettest.precipChance}% chance of rain around ${this.formatHour(wettest.time)}${when} - bring an umbrella or a water-resistant layer`,
+                category: 'outerwear'
+            });
+        }
+
+        if (windiest.wind > this.WINDY_HOUR_MPH) {
+            suggestions.push({
+                icon: '💨',
+                text: `Windy around ${this.formatHour(windiest.time)}${when} - consider wind-resistant outerwear`,
+                category: 'outerwear'
+            });
+        }
+
         return suggestions;
     },
 
+    // '2026-01-31T08:00' as '8 AM' in the user's locale
+    formatHour(time) {
+        return new Date(time).toLocaleTimeString([], { hour: 'numeric' });
+    },
+
+    // ============ DAILY FORECAST ============
+
+    // Thresholds for warning about a planned outfit
+    COLD_DAY_F: 45,
+    RAINY_DAY_CHANCE: 70,
+
+    toFahrenheit(temp, unit = Storage.getSetting('tempUnit', 'fahrenheit')) {
+        return unit === 'celsius' ? (temp * 9/5) + 32 : temp;
+    },
+
+    // The daily forecast as { date, weekday, max, min, precipChance, code }, starting today
+    getDailyForecast(weatherData) {
+        const daily = weatherData?.daily;
+        if (!daily?.time) return [];
+
+        return daily.time.map((date, i) => ({
+            date,
+            // Noon avoids the date shifting across time zones
+            weekday: new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'long' }),
+            max: daily.temperature_2m_max[i],
+            min: daily.temperature_2m_min[i],
+            precipChance: daily.precipitation_probability_max[i] ?? 0,
+            code: daily.weather_code[i]
+        }));
+    },
+
+    // Forecast for the next occurrence of a planner day ('Monday', ...), or null
+    // when that day is beyond the forecast
+    getForecastForDay(weatherData, dayName) {
+        const name = dayName.toLowerCase();
+        return this.getDailyForecast(weatherData).find(d => d.weekday.toLowerCase() === name) || null;
+    },
+
+    // Forecast for a date ('YYYY-MM-DD'), or null when it is outside the forecast
+    getForecastForDate(weatherData, date) {
+        return this.getDailyForecast(weatherData).find(d => d.date === date) || null;
+    },
+
+    // Ways a planned outfit doesn't suit the day's forecast, as [{ icon, text }]
+    checkOutfit(forecast, items) {
+        if (!forecast || items.length === 0) return [];
+
+        const warnings = [];
+
+        // The low counts: a cold morning needs a layer even when the afternoon is mild
+        if (this.toFahrenheit(forecast.min) < this.COLD_DAY_F && !items.some(i => i.category === 'outerwear')) {
+            warnings.push({
+                icon: '🧥',
+                text: `Low of ${this.formatTemp(forecast.min)} and no outerwear planned`
+            });
+        }
+
+        if (forecast.precipChance >= this.RAINY_DAY_CHANCE && !items.some(i => i.waterResistant)) {
+            warnings.push({
+                icon: '☔',
+                text: `${forecast.precipChance}% chance of rain and nothing water-resistant planned`
+            });
+        }
+
+        return warnings;
+    },
+
+    // Snapshot of current conditions, recorded alongside wear log entries
+    async getConditionsSnapshot() {
+        try {
+            const location = this.getLocation();
+            const data = await this.fetchWeather(location.lat, location.lon);
+            if (!data?.current) return null;
+
+            return {
+                temp: data.current.temperature_2m,
+                apparentTemp: data.current.apparent_temperature,
+                code: data.current.weather_code,
+                unit: Storage.getSetting('tempUnit', 'fahrenheit'),
+                location: location.name
+            };
+        } catch (err) {
+            console.warn('Could not capture weather snapshot:', err);
+            return null;
+        }
+    },
+
     // Format temperature for display
-    formatTemp(temp) {
-        const unit = Storage.getSetting('tempUnit', 'fahrenheit');
+    formatTemp(temp, unit = Storage.getSetting('tempUnit', 'fahrenheit')) {
         const symbol = unit === 'celsius' ? '°C' : '°F';
         return `${Math.round(temp)}${symbol}`;
     },
@@ -0,0 +1,166 @@
+/**
+ * Zip Module - Minimal ZIP archive reader and writer
+ * Writes uncompressed (stored) entries, since photos are already compressed.
+ * Reads stored entries, plus deflated ones where DecompressionStream is available
+ */
+
+const Zip = {
+    CRC_TABLE: null,
+
+    // Build a ZIP archive from [{ name, data }] where data is a Uint8Array or string
+    create(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        const { time, date } = this.dosDateTime(new Date());
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed to extract
+            local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+            local.setUint16(8, 0, true);            // Compression: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size
+            local.setUint32(22, data.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);    // Offset of local header
+
+            localParts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);       // Entries on this disk
+        end.setUint16(10, files.length, true);      // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);            // Central directory offset
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    },
+
+    // Read a ZIP archive into a Map of file name -> Uint8Array
+    async read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end-of-central-directory record sits in the last 22 bytes plus any comment
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+
+        if (endOffset === -1) {
+            throw new Error('Not a valid ZIP file');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const files = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            // Local headers can carry their own extra field, so read its lengths too
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (!name.endsWith('/')) {
+                files.set(name, await this.decompress(data, method));
+            }
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    },
+
+    async decompress(data, method) {
+        if (method === 0) return data;
+
+        if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        throw new Error(`Unsupported ZIP compression method: ${method}`);
+    },
+
+    // Check for the local file header signature ("PK\x03\x04")
+    isZip(bytes) {
+        return bytes.length >= 4 &&
+            bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    },
+
+    crc32(data) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    // ZIP stores modification times in MS-DOS format
+    dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+};
+
+// Export for use in other modules
+window.Zip = Zip;
@@ -3,7 +3,9 @@
  * Enables offline functionality and caching
  */
 
-const CACHE_NAME = 'wardrobe-studio-v1';
+// Static files are served cache-first, so installed apps only pick up new code when
+// this file changes. Bump the version in every change to a file listed below
+const CACHE_NAME = 'wardrobe-studio-v31';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -12,9 +14,27 @@ const ASSETS_TO_CACHE = [
     '/css/modal.css',
     '/css/responsive.css',
     '/js/app.js',
+    '/js/ids.js',
     '/js/storage.js',
+    '/js/profiles.js',
+    '/js/store.js',
+    '/js/sync.js',
+    '/js/journal.js',
+    '/js/images.js',
+    '/js/schema.js',
+    '/js/merge.js',
+    '/js/zip.js',
+    '/js/encryption.js',
+    '/js/backup.js',
+    '/js/autobackup.js',
+    '/js/integrity.js',
+    '/js/quota.js',
     '/js/weather.js',
+    '/js/generator.js',
+    '/js/trips.js',
+    '/js/grid.js',
     '/js/ui.js',
+    '/js/filters.js',
     '/js/dragdrop.js',
     '/manifest.json'
 ];